@@ -1,9 +1,43 @@
 import { eleventyImageTransformPlugin } from "@11ty/eleventy-img";
-import { feedPlugin } from "@11ty/eleventy-plugin-rss";
+import { rssPlugin } from "@11ty/eleventy-plugin-rss";
 import syntaxHighlight from "@11ty/eleventy-plugin-syntaxhighlight";
 import { DateTime } from "luxon";
+import markdownItAnchor from "markdown-it-anchor";
+import markdownItFootnote from "markdown-it-footnote";
+import metadata from "./_data/metadata.js";
+import { renderDemo } from "./_config/demo.js";
+import { getDraftPages } from "./_config/drafts.js";
+import { checkLinks, formatLinkReport } from "./_config/link-checker.js";
+import {
+  calloutsPlugin,
+  codeBlocksPlugin,
+  figuresPlugin,
+} from "./_config/markdown.js";
+import {
+  getNewestUpdatedDate,
+  getPostTags,
+  getUpdatedDate,
+  isScheduled,
+} from "./_config/posts.js";
+import { getRelatedPosts } from "./_config/related-posts.js";
+import { buildSearchIndex, getWordCount } from "./_config/search.js";
+import { buildSeries, getSeriesNavigation } from "./_config/series.js";
+import {
+  getLastModified,
+  getSitemapImages,
+  getSitemapPages,
+} from "./_config/sitemap.js";
+import {
+  checkStructuredData,
+  renderStructuredData,
+} from "./_config/structured-data.js";
+import {
+  getTableOfContents,
+  renderTableOfContents,
+} from "./_config/toc.js";
+import { renderPaginationShadowRoot } from "./js/practical-web-component-reactivity-patterns/paginationTemplate.js";
 
-export default function eleventyConfig(eleventyConfig) {
+export default async function eleventyConfig(eleventyConfig) {
   eleventyConfig.addPlugin(eleventyImageTransformPlugin, {
     extensions: "html",
     formats: ["webp", "jpeg"],
@@ -22,8 +56,14 @@ export default function eleventyConfig(eleventyConfig) {
   eleventyConfig.addPassthroughCopy("js");
   eleventyConfig.addWatchTarget("js");
 
+  // Sandboxed demo iframes have an opaque origin so their module imports are
+  // CORS requests, GitHub Pages allows these and the dev server should too
+  eleventyConfig.setServerOptions({
+    headers: { "Access-Control-Allow-Origin": "*" },
+  });
+
   eleventyConfig.addFilter("htmlDateString", (dateObject) => {
-    return DateTime.fromJSDate(dateObject, { zone: "utc" }).toFormat("yyyy-LL-dd");
+    return DateTime.fromJSDate(new Date(dateObject), { zone: "utc" }).toFormat("yyyy-LL-dd");
   });
 
   eleventyConfig.addFilter("urlencode", (value) => {
@@ -32,9 +72,21 @@ export default function eleventyConfig(eleventyConfig) {
 
   eleventyConfig.addFilter("readableDate", (dateObject, format, zone) => {
     // Formatting tokens for Luxon: https://moment.github.io/luxon/#/formatting?id=table-of-tokens
-    return DateTime.fromJSDate(dateObject, { zone: zone || "utc" }).toFormat(
-      format || "dd LLLL yyyy",
-    );
+    // Accepts ISO date strings from fetched data as well as dates
+    return DateTime.fromJSDate(new Date(dateObject), {
+      zone: zone || "utc",
+    }).toFormat(format || "dd LLLL yyyy");
+  });
+
+  // Server render the pagination demo components as declarative shadow DOM
+  eleventyConfig.addShortcode("paginationShadowRoot", () => {
+    return renderPaginationShadowRoot();
+  });
+
+  eleventyConfig.addFilter("compactNumber", (value) => {
+    return new Intl.NumberFormat(metadata.language, {
+      notation: "compact",
+    }).format(value);
   });
 
   eleventyConfig.addFilter("head", (array, n) => {
@@ -44,25 +96,32 @@ export default function eleventyConfig(eleventyConfig) {
     return n < 0 ? array.slice(n) : array.slice(0, n);
   });
 
-  eleventyConfig.addFilter("relatedPosts", (allPosts, currentUrl, currentTags, count) => {
-    const filteredTags = new Set(
-      (currentTags || []).filter((tag) => tag !== "posts"),
-    );
-    return allPosts
-      .filter((post) => post.url !== currentUrl)
-      .map((post) => {
-        const postTags = ((post.data || {}).tags || []).filter(
-          (tag) => tag !== "posts",
-        );
-        const matchCount = postTags.filter((tag) =>
-          filteredTags.has(tag),
-        ).length;
-        return { post, matchCount };
-      })
-      .filter(({ matchCount }) => matchCount > 0)
-      .toSorted((a, b) => b.matchCount - a.matchCount)
-      .slice(0, count || 1)
-      .map(({ post }) => post);
+  eleventyConfig.addFilter("relatedPosts", (allPosts, currentUrl, count) => {
+    return getRelatedPosts(allPosts, currentUrl, count);
+  });
+
+  eleventyConfig.addFilter("toc", (content) => {
+    return renderTableOfContents(getTableOfContents(content));
+  });
+
+  eleventyConfig.addFilter("wordCount", (content) => {
+    return getWordCount(content);
+  });
+
+  eleventyConfig.addFilter("searchIndex", (posts) => {
+    return buildSearchIndex(posts);
+  });
+
+  eleventyConfig.addFilter("sitemapPages", (pages) => {
+    return getSitemapPages(pages);
+  });
+
+  eleventyConfig.addFilter("lastModified", (page) => {
+    return getLastModified(page);
+  });
+
+  eleventyConfig.addFilter("sitemapImages", (page) => {
+    return getSitemapImages(page);
   });
 
   eleventyConfig.addPreprocessor("drafts", "*", (data) => {
@@ -71,36 +130,177 @@ export default function eleventyConfig(eleventyConfig) {
     }
   });
 
-  eleventyConfig.addPassthroughCopy("./pretty-atom-feed.xsl");
-  eleventyConfig.addPlugin(feedPlugin, {
-    type: "atom",
-    outputPath: "/feed/feed.xml",
-    stylesheet: "/pretty-atom-feed.xsl",
-    collection: {
-      name: "posts",
+  // Future dated posts are published by the first build after their date,
+  // the dev server shows them with a scheduled banner
+  eleventyConfig.addPreprocessor("scheduled", "*", (data) => {
+    if (isScheduled(data.date) && process.env.ELEVENTY_RUN_MODE === "build") {
+      return false;
+    }
+  });
+
+  eleventyConfig.addFilter("draftPages", (pages) => {
+    return getDraftPages(pages);
+  });
+
+  eleventyConfig.addFilter("isScheduled", (date) => {
+    return isScheduled(date);
+  });
+
+  eleventyConfig.addFilter("updatedDate", (post) => {
+    return getUpdatedDate(post);
+  });
+
+  eleventyConfig.addFilter("newestUpdatedDate", (posts) => {
+    return getNewestUpdatedDate(posts);
+  });
+
+  eleventyConfig.addFilter("structuredData", (nodes) => {
+    return renderStructuredData(nodes);
+  });
+
+  eleventyConfig.addCollection("tagList", (collectionApi) => {
+    const slugify = eleventyConfig.getFilter("slugify");
+    const tags = new Map();
+
+    for (const post of collectionApi.getFilteredByTag("posts")) {
+      const postTags = post.data.tags.filter((tag) => tag !== "posts");
+
+      for (const tag of postTags) {
+        tags.set(tag, [...(tags.get(tag) || []), post]);
+      }
+    }
+
+    return [...tags]
+      .map(([name, posts]) => ({ name, slug: slugify(name), posts }))
+      .toSorted((a, b) => a.name.localeCompare(b.name));
+  });
+
+  eleventyConfig.addCollection("series", (collectionApi) => {
+    return buildSeries(
+      collectionApi.getFilteredByTag("posts"),
+      eleventyConfig.getFilter("slugify"),
+    );
+  });
+
+  eleventyConfig.addFilter("seriesNavigation", (seriesList, name, url) => {
+    return getSeriesNavigation(seriesList, name, url);
+  });
+
+  // Date filters and absolute URLs for the feed templates
+  eleventyConfig.addPlugin(rssPlugin);
+
+  // Set to false to only publish feeds of the latest posts
+  const shouldPublishArchiveFeed = true;
+
+  // Each feed is published as Atom and JSON Feed with the full post content
+  const feeds = [
+    {
+      title: metadata.title,
+      path: "/feed/feed",
+      collection: "posts",
       limit: 10,
     },
-    metadata: {
-      language: "en",
-      title: "Phil Parsons",
-      subtitle: "Web developer and bike enthusiast from London, UK",
-      base: "https://philparsons.co.uk/",
-      author: {
-        name: "Phil Parsons",
-      },
-    },
+  ];
+  if (shouldPublishArchiveFeed) {
+    feeds.push({
+      title: `${metadata.title} archive`,
+      path: "/feed/archive",
+      collection: "posts",
+      limit: 0,
+    });
+  }
+  eleventyConfig.addGlobalData("feeds", feeds);
+
+  // Tags must be known at config time to add a feed per tag collection, so
+  // read them from the post front matter directly
+  const isBuild = process.env.ELEVENTY_RUN_MODE === "build";
+  const postTags = await getPostTags({
+    includeDrafts: !isBuild,
+    includeScheduled: !isBuild,
+  });
+
+  // Tag feeds are only published as Atom, feed.xml.njk renders every feed
+  const tagFeeds = postTags.map((tag) => ({
+    title: `${metadata.title}: ${tag}`,
+    path: `/blog/tags/${eleventyConfig.getFilter("slugify")(tag)}/feed`,
+    collection: tag,
+    limit: 10,
+  }));
+  eleventyConfig.addGlobalData("atomFeeds", [...feeds, ...tagFeeds]);
+
+  eleventyConfig.addPassthroughCopy("./pretty-atom-feed.xsl");
+
+  // Report broken internal links, fragments and images without alt text once
+  // the output is written, STRICT_LINKS=1 fails the build instead
+  eleventyConfig.on("eleventy.after", async ({ dir, results, outputMode }) => {
+    if (outputMode !== "fs") {
+      return;
+    }
+
+    const report = await checkLinks(results, {
+      outputDirectory: dir.output,
+      siteUrl: metadata.url,
+    });
+
+    if (report.length === 0) {
+      return;
+    }
+
+    const message = formatLinkReport(report);
+    if (process.env.STRICT_LINKS) {
+      throw new Error(message);
+    }
+
+    console.warn(message);
+  });
+
+  // JSON-LD is generated from page data, so a script that doesn't parse or
+  // is missing a required property is a bug in the data and fails the build
+  eleventyConfig.on("eleventy.after", ({ results, outputMode }) => {
+    if (outputMode !== "fs") {
+      return;
+    }
+
+    const problems = checkStructuredData(results);
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Invalid structured data:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`,
+      );
+    }
+  });
+
+  // Kept from amendLibrary so demo code is rendered like any other fence
+  let markdownLibrary;
+
+  // Code and a live result from one set of html, css and js fences
+  eleventyConfig.addPairedShortcode("demo", (content, title) => {
+    return renderDemo(content, { markdown: markdownLibrary, title });
   });
 
-  eleventyConfig.addPlugin(syntaxHighlight);
+  // Unknown languages would be added to the markup without escaping
+  eleventyConfig.addPlugin(syntaxHighlight, { errorOnInvalidLanguage: true });
   eleventyConfig.amendLibrary("md", (mdLibrary) => {
-    const defaultRender = mdLibrary.renderer.rules.fence;
+    markdownLibrary = mdLibrary;
 
-    mdLibrary.renderer.rules.fence = function fence(...arguments_) {
-      let html = defaultRender(...arguments_);
+    // Slug ids and anchor links for section headings, used by the toc filter
+    mdLibrary.use(markdownItAnchor, {
+      level: [2, 3, 4],
+      slugify: eleventyConfig.getFilter("slugify"),
+      permalink: markdownItAnchor.permalink.ariaHidden({
+        placement: "after",
+        class: "heading-anchor",
+        symbol: "#",
+      }),
+    });
 
-      html = `<copy-to-clipboard>${html.trim()}</copy-to-clipboard>\n`;
+    // ::: note, ::: tip and ::: warning containers
+    mdLibrary.use(calloutsPlugin);
+    mdLibrary.use(markdownItFootnote);
+    // The image transform runs on the HTML output so figures are optimised
+    mdLibrary.use(figuresPlugin);
 
-      return html;
-    };
+    // Titles, highlighted lines and diffs, wrapped in <copy-to-clipboard>
+    mdLibrary.use(codeBlocksPlugin);
   });
 }
@@ -0,0 +1,107 @@
+const fencePattern = /^```(\w+)[^\n]*\n([\s\S]*?)^```[ \t]*$/gm;
+
+// Tab labels in the order the code is shown
+const demoLanguages = {
+  html: "HTML",
+  css: "CSS",
+  js: "JS",
+};
+
+// Defaults for the demo document, the demo CSS can override these
+const baseStyles =
+  ":root { color-scheme: light dark; font-family: system-ui, sans-serif; } body { margin: 0; padding: 1rem; }";
+
+// Declarative shadow roots from shortcodes are noise in the HTML listing but
+// are kept in the running demo
+const declarativeShadowRootPattern =
+  /\s*<template shadowrootmode="[^"]*">[\s\S]*?<\/template>/g;
+
+// The demo runs in an opaque origin so the page can't read its size, it
+// posts its height to the live-demo element instead
+const resizeScript =
+  'new ResizeObserver(([entry]) => parent.postMessage({ type: "live-demo-resize", height: Math.ceil(entry.borderBoxSize[0].blockSize) }, "*")).observe(document.documentElement);';
+
+function escapeAttribute(text) {
+  return text
+    .replaceAll("&", "&amp;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
+
+/**
+ * HTML, CSS and JS code from the fenced blocks in a demo shortcode
+ */
+export function getDemoSources(content) {
+  const sources = {};
+
+  for (const [, language, code] of content.matchAll(fencePattern)) {
+    if (!Object.hasOwn(demoLanguages, language)) {
+      throw new Error(
+        `Unsupported demo language "${language}", use ${Object.keys(demoLanguages).join(", ")}`,
+      );
+    }
+
+    sources[language] = code;
+  }
+
+  if (!sources.html) {
+    throw new Error("A demo needs an html code block");
+  }
+
+  return sources;
+}
+
+/**
+ * Standalone document for the demo iframe. The JS runs as a module so a demo
+ * only loads the modules it imports, from an opaque origin these are CORS
+ * requests so the site has to be served with `Access-Control-Allow-Origin`.
+ */
+export function renderDemoDocument({ html, css = "", js = "" }) {
+  return [
+    '<!doctype html><html lang="en"><head><meta charset="utf-8">',
+    `<style>${baseStyles}</style>`,
+    css && `<style>${css}</style>`,
+    `</head><body>${html}`,
+    `<script>${resizeScript}</script>`,
+    js && `<script type="module">${js}</script>`,
+    "</body></html>",
+  ].join("");
+}
+
+/**
+ * Tabbed code listings and a live result for the `demo` paired shortcode.
+ * Code blocks are rendered with the Markdown library so they are highlighted
+ * and copyable like any other fence.
+ */
+export function renderDemo(content, { markdown, title = "Live demo" }) {
+  const sources = getDemoSources(content);
+  const panels = Object.entries(demoLanguages)
+    .filter(([language]) => sources[language])
+    .map(([language, label]) => {
+      const code =
+        language === "html"
+          ? sources.html.replaceAll(declarativeShadowRootPattern, "")
+          : sources[language];
+      const listing = markdown.render(`\`\`\`${language}\n${code}\`\`\`\n`);
+
+      return `<section class="live-demo-panel" data-label="${label}">${listing}</section>`;
+    });
+
+  const html = [
+    '<div class="live-demo">',
+    "<live-demo>",
+    ...panels,
+    '<div class="live-demo-result">',
+    `<iframe title="${escapeAttribute(title)}" srcdoc="${escapeAttribute(renderDemoDocument(sources))}" sandbox="allow-scripts" loading="lazy"></iframe>`,
+    '<button type="button" class="live-demo-reset" hidden>Reset demo</button>',
+    "</div>",
+    "</live-demo>",
+    "</div>",
+    '<script src="/js/live-demo/index.js" type="module"></script>',
+  ].join("");
+
+  // A single line so blank lines in the code don't end the Markdown HTML
+  // block, line breaks in the listings are kept as character references
+  return html.replaceAll("\n", "&#10;");
+}
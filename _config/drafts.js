@@ -0,0 +1,29 @@
+import { validatePageData } from "./front-matter-schema.js";
+import { isPublished } from "./posts.js";
+import { getWordCount } from "./search.js";
+
+/**
+ * Draft and scheduled pages for the dev server drafts dashboard, newest
+ * first, with any front matter issues the data schema would report
+ */
+export function getDraftPages(pages) {
+  return pages
+    .filter((page) => !isPublished(page))
+    .map((page) => {
+      const result = validatePageData(page.data);
+
+      return {
+        url: page.url,
+        title: page.data.title ?? page.url,
+        date: page.date,
+        status: page.data.draft ? "Draft" : "Scheduled",
+        wordCount: getWordCount(page.content ?? ""),
+        issues: result.success
+          ? []
+          : result.error.issues.map(
+              (issue) => `${issue.path.join(".") || "page"}: ${issue.message}`,
+            ),
+      };
+    })
+    .toSorted((a, b) => b.date - a.date);
+}
@@ -0,0 +1,156 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+import { DateTime } from "luxon";
+
+const rootDirectory = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+);
+
+// One hour unless FETCH_CACHE_TTL sets a number of seconds
+const defaultTtl = 60 * 60;
+
+/**
+ * Cache settings from the environment so builds, the dev server and the
+ * scripts can be pointed at a different cache or run without a network
+ *
+ * - FETCH_CACHE_DIR: cache directory, defaults to .cache/fetch
+ * - FETCH_CACHE_TTL: seconds before cached data is revalidated
+ * - OFFLINE: set to 1 or true to only ever use cached data
+ */
+export function getCacheOptions() {
+  const ttl = Number(process.env.FETCH_CACHE_TTL || defaultTtl);
+
+  return {
+    directory: path.resolve(
+      rootDirectory,
+      process.env.FETCH_CACHE_DIR ?? ".cache/fetch",
+    ),
+    ttl: Number.isNaN(ttl) ? defaultTtl : ttl,
+    isOffline: ["1", "true"].includes(process.env.OFFLINE),
+  };
+}
+
+function getCachePath(directory, url) {
+  const key = createHash("sha256").update(url).digest("hex").slice(0, 16);
+  return path.join(directory, `${key}.json`);
+}
+
+async function readCacheEntry(cachePath) {
+  try {
+    return JSON.parse(await readFile(cachePath, "utf8"));
+  } catch {
+    // No cache entry yet
+  }
+}
+
+async function writeCacheEntry(cachePath, entry) {
+  await mkdir(path.dirname(cachePath), { recursive: true });
+  await writeFile(cachePath, JSON.stringify(entry, undefined, 2), "utf8");
+}
+
+function warnStale(url, entry) {
+  const age = DateTime.fromISO(entry.fetchedAt).toRelative();
+  console.warn(`Using cached data for ${url} fetched ${age}`);
+}
+
+/**
+ * Fetch JSON through an on-disk cache. Cached responses are reused until
+ * the TTL expires and then revalidated with their ETag. When offline, or
+ * when the request fails, any cached data is returned with a warning and
+ * undefined is returned if there's nothing cached. Error responses are
+ * cached for the TTL as well, so a missing resource such as the latest
+ * release of a repository without releases isn't requested on every build.
+ *
+ * Entries record when their data was fetched, `fetchedAt`, separately from
+ * the last request, `checkedAt`, which the TTL runs from. Data kept after an
+ * error response is always returned with a warning of its age.
+ *
+ * Set `useStaleOnError` to false to throw when the request fails rather than
+ * fall back to cached data. A 404 still returns undefined, as a missing
+ * resource is an answer rather than a failure.
+ */
+export async function fetchJson(
+  url,
+  { headers = {}, useStaleOnError = true, ...overrides } = {},
+) {
+  const { directory, ttl, isOffline } = { ...getCacheOptions(), ...overrides };
+  const cachePath = getCachePath(directory, url);
+  const entry = await readCacheEntry(cachePath);
+  const age = entry
+    ? Date.now() - Date.parse(entry.checkedAt ?? entry.fetchedAt)
+    : Infinity;
+
+  if (isOffline || age < ttl * 1000) {
+    if (!entry) {
+      console.warn(`Offline with no cached data for ${url}`);
+    } else if (entry.data !== undefined && (entry.error || age >= ttl * 1000)) {
+      warnStale(url, entry);
+    }
+
+    return entry?.data;
+  }
+
+  try {
+    const checkedAt = new Date().toISOString();
+    const response = await fetch(url, {
+      headers: {
+        ...headers,
+        ...(entry?.etag && { "If-None-Match": entry.etag }),
+      },
+    });
+
+    if (entry && response.status === 304) {
+      await writeCacheEntry(cachePath, {
+        ...entry,
+        error: undefined,
+        fetchedAt: checkedAt,
+        checkedAt,
+      });
+      return entry.data;
+    }
+
+    if (!response.ok) {
+      const error = `HTTP ${response.status}`;
+
+      // Data from an earlier successful response is kept with its ETag and
+      // the time it was fetched
+      await writeCacheEntry(cachePath, { ...entry, url, error, checkedAt });
+
+      if (!useStaleOnError && response.status === 404) {
+        return;
+      }
+
+      throw new Error(error);
+    }
+
+    const data = await response.json();
+
+    await writeCacheEntry(cachePath, {
+      url,
+      etag: response.headers.get("etag") ?? undefined,
+      fetchedAt: checkedAt,
+      checkedAt,
+      data,
+    });
+
+    return data;
+  } catch (error) {
+    if (!useStaleOnError) {
+      throw new Error(`Failed to fetch ${url}: ${error.message}`, {
+        cause: error,
+      });
+    }
+
+    console.warn(`Failed to fetch ${url}:`, error.message);
+
+    if (entry?.data !== undefined) {
+      warnStale(url, entry);
+    }
+
+    return entry?.data;
+  }
+}
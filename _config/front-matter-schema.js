@@ -0,0 +1,100 @@
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { z } from "zod";
+import { fromZodError } from "zod-validation-error";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDirectory = path.join(__dirname, "..");
+const socialCardDirectory = path.join(rootDirectory, "img", "socialcard");
+const scriptDirectory = path.join(rootDirectory, "js");
+export const socialCardTemplateDirectory = path.join(
+  rootDirectory,
+  "scripts",
+  "social-cards",
+);
+
+const requiredString = z.string().trim().min(1);
+const stringList = z.array(z.string());
+
+// Front matter allowed on every page, posts or otherwise
+export const pageSchema = z.object({
+  title: requiredString.optional(),
+  description: requiredString.optional(),
+  draft: z.boolean().optional(),
+  updated: z.date().optional(),
+  eleventyExcludeFromCollections: z.boolean().or(stringList).optional(),
+});
+
+// Front matter required on blog posts
+const postFields = pageSchema.extend({
+  title: requiredString,
+  description: requiredString,
+  date: z.date(),
+  tags: z
+    .array(requiredString)
+    .refine((tags) => tags.some((tag) => tag !== "posts"), {
+      message: "Expected at least one topic tag besides `posts`",
+    }),
+  social_card: z
+    .string()
+    .refine((file) => existsSync(path.join(socialCardDirectory, file)), {
+      message: "Social card not found in img/socialcard/",
+    })
+    .optional(),
+  social_card_template: z
+    .string()
+    .refine(
+      (template) =>
+        template !== "layout" &&
+        existsSync(path.join(socialCardTemplateDirectory, `${template}.njk`)),
+      { message: "Social card template not found in scripts/social-cards/" },
+    )
+    .optional(),
+  social_card_accent: requiredString.optional(),
+  social_card_subtitle: requiredString.optional(),
+  script: z
+    .string()
+    .refine((file) => existsSync(path.join(scriptDirectory, file)), {
+      message: "Script not found in js/",
+    })
+    .optional(),
+  series: requiredString.optional(),
+  seriesOrder: z.int().positive().optional(),
+  // Set to false to hide the table of contents on long posts
+  toc: z.boolean().optional(),
+});
+
+export const postSchema = postFields.refine(
+  (data) => !data.series || data.seriesOrder !== undefined,
+  {
+    message: "Expected `seriesOrder` for a post in a series",
+    path: ["seriesOrder"],
+  },
+);
+
+/**
+ * Posts are any pages under the blog directory
+ */
+export function isPost(data) {
+  return data.page?.inputPath?.startsWith("./blog/") ?? false;
+}
+
+/**
+ * Validate page data against the post or page schema
+ * Returns the zod result so callers decide how to report issues
+ */
+export function validatePageData(data) {
+  return (isPost(data) ? postSchema : pageSchema).safeParse(data);
+}
+
+/**
+ * Format every issue in a zod error as one line per violation
+ */
+export function formatValidationError(error, inputPath) {
+  return fromZodError(error, {
+    prefix: `Invalid front matter in ${inputPath}`,
+    prefixSeparator: "\n  - ",
+    issueSeparator: "\n  - ",
+  });
+}
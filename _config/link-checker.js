@@ -0,0 +1,200 @@
+import { existsSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+// Comments and the content of inline scripts and styles aren't part of the
+// rendered page, the script and style tags themselves are kept so a script
+// `src` is still checked
+const commentPattern = /<!--[\s\S]*?-->/g;
+const inlineContentPattern = /(<(script|style)\b[^>]*>)[\s\S]*?(<\/\2>)/gi;
+const tagPattern = /<([a-z][\w-]*)\b([^>]*)>/gi;
+const attributePattern = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+
+// Fragments that browsers handle without a matching element
+const implicitFragments = new Set(["", "top"]);
+
+function getAttributes(source) {
+  const attributes = new Map();
+
+  for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(
+    attributePattern,
+  )) {
+    attributes.set(
+      name.toLowerCase(),
+      (doubleQuoted ?? singleQuoted ?? "").replaceAll("&amp;", "&"),
+    );
+  }
+
+  return attributes;
+}
+
+function getTags(html) {
+  return html
+    .replaceAll(commentPattern, "")
+    .replaceAll(inlineContentPattern, "$1$3")
+    .matchAll(tagPattern)
+    .map(([, name, attributes]) => ({
+      name: name.toLowerCase(),
+      attributes: getAttributes(attributes),
+    }))
+    .toArray();
+}
+
+// Each URL in a srcset, without the width or density descriptor
+function getSrcsetUrls(srcset) {
+  return srcset
+    .split(",")
+    .map((candidate) => candidate.trim().split(/\s+/, 1)[0])
+    .filter(Boolean);
+}
+
+function getIds(tags) {
+  const ids = new Set();
+
+  for (const { name, attributes } of tags) {
+    if (attributes.has("id")) {
+      ids.add(attributes.get("id"));
+    }
+    if (name === "a" && attributes.has("name")) {
+      ids.add(attributes.get("name"));
+    }
+  }
+
+  return ids;
+}
+
+// Output file for a site path, directory paths are served from index.html
+function getOutputFile(outputDirectory, pathname) {
+  const file = path.join(outputDirectory, decodeURIComponent(pathname));
+
+  return pathname.endsWith("/") ? path.join(file, "index.html") : file;
+}
+
+/**
+ * Broken internal references in the HTML output of a build, grouped by the
+ * page they're on. Links are checked against the other pages in the build
+ * and files in the output directory, fragments against the ids on the
+ * target page, and images are checked for an `alt` attribute.
+ */
+export async function checkLinks(results, { outputDirectory, siteUrl }) {
+  const site = new URL(siteUrl);
+  const pages = new Map();
+
+  for (const result of results) {
+    if (result.outputPath?.endsWith(".html")) {
+      pages.set(path.resolve(result.outputPath), {
+        ...result,
+        tags: getTags(result.content),
+      });
+    }
+  }
+
+  const idCache = new Map();
+
+  // Ids on a target page, read from disk for pages outside this build
+  async function getPageIds(file) {
+    if (!idCache.has(file)) {
+      const page = pages.get(file);
+      const tags = page ? page.tags : getTags(await readFile(file, "utf8"));
+
+      idCache.set(file, getIds(tags));
+    }
+
+    return idCache.get(file);
+  }
+
+  async function checkUrl(reference, page) {
+    const base = new URL(page.url, site);
+    let url;
+
+    try {
+      url = new URL(reference, base);
+    } catch {
+      return "invalid URL";
+    }
+
+    // External links and images transformed on request by the dev server
+    if (url.origin !== site.origin || url.pathname.startsWith("/.11ty/")) {
+      return;
+    }
+
+    let file;
+    let fragment;
+
+    try {
+      file = path.resolve(getOutputFile(outputDirectory, url.pathname));
+      fragment = decodeURIComponent(url.hash.slice(1));
+    } catch {
+      // URL keeps escapes such as %zz that can't be decoded
+      return "malformed percent-encoding";
+    }
+
+    if (!pages.has(file) && !existsSync(file)) {
+      return "not found in the output";
+    }
+
+    if (implicitFragments.has(fragment) || !file.endsWith(".html")) {
+      return;
+    }
+
+    const ids = await getPageIds(file);
+    if (!ids.has(fragment)) {
+      return `no element with id "${fragment}"`;
+    }
+  }
+
+  const report = [];
+
+  for (const page of pages.values()) {
+    const issues = [];
+
+    for (const { name, attributes } of page.tags) {
+      const references = [
+        ["href", attributes.get("href")],
+        ["src", attributes.get("src")],
+        ...getSrcsetUrls(attributes.get("srcset") ?? "").map((url) => [
+          "srcset",
+          url,
+        ]),
+      ].filter(([, reference]) => reference);
+
+      for (const [attribute, reference] of references) {
+        const problem = await checkUrl(reference, page);
+
+        if (problem) {
+          issues.push(`<${name} ${attribute}="${reference}"> ${problem}`);
+        }
+      }
+
+      if (name === "img" && !attributes.has("alt")) {
+        issues.push(
+          `<img src="${attributes.get("src") ?? ""}"> is missing alt text`,
+        );
+      }
+    }
+
+    if (issues.length > 0) {
+      report.push({ url: page.url, inputPath: page.inputPath, issues });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * One block per page listing each broken reference
+ */
+export function formatLinkReport(report) {
+  const count = report.reduce((total, { issues }) => total + issues.length, 0);
+  const pages = report.map(({ url, inputPath, issues }) => {
+    return [
+      `  ${url} (${inputPath})`,
+      ...issues.map((issue) => `    - ${issue}`),
+    ].join("\n");
+  });
+
+  return [
+    `Found ${count} broken ${count === 1 ? "reference" : "references"} in ${report.length} ${report.length === 1 ? "page" : "pages"}:`,
+    ...pages,
+  ].join("\n");
+}
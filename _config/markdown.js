@@ -0,0 +1,157 @@
+import markdownItContainer from "markdown-it-container";
+
+export const calloutTypes = ["note", "tip", "warning"];
+
+/**
+ * Callout containers for posts, with an optional title after the type
+ *
+ * ::: warning Browser support
+ * Only Chromium browsers support this for now.
+ * :::
+ */
+export function calloutsPlugin(md) {
+  for (const type of calloutTypes) {
+    const defaultTitle = type.charAt(0).toUpperCase() + type.slice(1);
+
+    md.use(markdownItContainer, type, {
+      render(tokens, index) {
+        const token = tokens[index];
+
+        if (token.nesting !== 1) {
+          return "</aside>\n";
+        }
+
+        const title = token.info.trim().slice(type.length).trim();
+
+        return `<aside class="callout callout-${type}" role="note">\n<p class="callout-title">${md.utils.escapeHtml(title || defaultTitle)}</p>\n`;
+      },
+    });
+  }
+}
+
+/**
+ * A paragraph with only an image and a title becomes a figure with the title
+ * as its caption, `![Alt text](/img/example.png "Caption")`
+ */
+export function figuresPlugin(md) {
+  md.core.ruler.after("inline", "figures", (state) => {
+    const { tokens } = state;
+
+    for (let index = 1; index < tokens.length - 1; index++) {
+      const inline = tokens[index];
+      const image = inline.children?.[0];
+
+      if (
+        tokens[index - 1].type !== "paragraph_open" ||
+        // Paragraphs in tight lists aren't rendered
+        tokens[index - 1].hidden ||
+        inline.type !== "inline" ||
+        inline.children.length !== 1 ||
+        image.type !== "image" ||
+        !image.attrGet("title")
+      ) {
+        continue;
+      }
+
+      const caption = md.parseInline(image.attrGet("title"), {})[0];
+      image.attrs = image.attrs.filter(([name]) => name !== "title");
+
+      tokens[index - 1].tag = "figure";
+      tokens[index + 1].tag = "figure";
+      inline.children.push(
+        new state.Token("figcaption_open", "figcaption", 1),
+        ...caption.children,
+        new state.Token("figcaption_close", "figcaption", -1),
+      );
+    }
+  });
+}
+
+// One based line ranges, `{3-5,9}`
+const lineRangesPattern =
+  /{\s*(\d+(?:\s*-\s*\d+)?(?:\s*,\s*\d+(?:\s*-\s*\d+)?)*)\s*}/;
+const titlePattern = /\btitle=(?:"([^"]*)"|'([^']*)')/;
+const diffPrefixPattern = /<span class="token prefix (\w+)">([ +-])<\/span>/g;
+
+/**
+ * Language, title and highlighted lines from a fence info string such as
+ * `js title="PageFlip.js" {3-5,9}`. Lines are converted to the zero based
+ * ranges used by eleventy-plugin-syntaxhighlight.
+ */
+export function parseFenceInfo(info) {
+  const [language = ""] = info.trim().split(/\s/, 1);
+  const [, doubleQuoted, singleQuoted] = info.match(titlePattern) ?? [];
+  const [, lineRanges] = info.match(lineRangesPattern) ?? [];
+  const highlightLines = lineRanges
+    ?.split(",")
+    .map((range) =>
+      range
+        .split("-")
+        .map((line) => Math.max(Number(line) - 1, 0))
+        .join("-"),
+    )
+    .join(",");
+
+  return {
+    // Fences with only a title or line ranges have no language
+    language:
+      language.includes("=") || language.startsWith("{") ? "" : language,
+    title: doubleQuoted ?? singleQuoted,
+    highlightLines,
+  };
+}
+
+/**
+ * Code fences with a filename header, highlighted lines and diff markers
+ * that are left out of the copied text
+ *
+ * ```js title="PageFlip.js" {3-5,9}
+ * ```diff-js title="PageFlip.js"
+ *
+ * Diff fences can't highlight lines, the highlighter splits lines inside the
+ * spans that mark each change so the markup would be broken.
+ */
+export function codeBlocksPlugin(md) {
+  const defaultRender = md.renderer.rules.fence;
+
+  md.renderer.rules.fence = function fence(tokens, index, ...arguments_) {
+    const token = tokens[index];
+    const { language, title, highlightLines } = parseFenceInfo(token.info);
+
+    if (highlightLines && language.startsWith("diff")) {
+      throw new Error(
+        `Line highlighting isn't supported in ${language} code blocks, remove {${token.info.match(lineRangesPattern)[1]}}`,
+      );
+    }
+
+    // The syntax highlighter reads line ranges from the language name, fences
+    // with only line ranges are highlighted as text
+    const highlightLanguage = highlightLines ? language || "text" : language;
+    token.info = highlightLines
+      ? `${highlightLanguage}/${highlightLines}`
+      : language;
+
+    // The highlighter adds text to the markup as it is
+    if (highlightLanguage === "text") {
+      token.content = md.utils.escapeHtml(token.content);
+    }
+
+    let html = defaultRender(tokens, index, ...arguments_).trim();
+
+    if (language.startsWith("diff")) {
+      // Markers are drawn from the data attribute so they aren't copied
+      html = html.replaceAll(
+        diffPrefixPattern,
+        '<span class="token prefix $1" data-prefix="$2"></span>',
+      );
+    }
+
+    html = `<copy-to-clipboard>${html}</copy-to-clipboard>`;
+
+    if (title) {
+      html = `<div class="code-block">\n<p class="code-block-title">${md.utils.escapeHtml(title)}</p>\n${html}\n</div>`;
+    }
+
+    return `${html}\n`;
+  };
+}
@@ -0,0 +1,77 @@
+import { readdir, readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import matter from "gray-matter";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const blogDirectory = path.join(__dirname, "..", "blog");
+
+/**
+ * Read the front matter of every post in the blog directory
+ * For use where Eleventy's data cascade isn't available, such as at config time
+ */
+export async function getPosts() {
+  const files = await readdir(blogDirectory);
+  const posts = [];
+
+  for (const file of files) {
+    if (!file.endsWith(".md")) continue;
+
+    const content = await readFile(path.join(blogDirectory, file), "utf8");
+    const { data } = matter(content);
+
+    posts.push({ slug: path.basename(file, ".md"), data });
+  }
+
+  return posts;
+}
+
+/**
+ * Posts dated in the future are scheduled and left out of builds until their
+ * date has passed
+ */
+export function isScheduled(date, now = new Date()) {
+  return date instanceof Date && date > now;
+}
+
+/**
+ * Drafts and scheduled posts are only rendered by the dev server
+ */
+export function isPublished(page) {
+  return !page.data.draft && !isScheduled(page.date);
+}
+
+/**
+ * When a post last changed, the `updated` front matter date when it has one
+ */
+export function getUpdatedDate(post) {
+  return post.data.updated ?? post.date;
+}
+
+/**
+ * The most recent change across a collection of posts, for feed dates
+ */
+export function getNewestUpdatedDate(posts) {
+  if (posts.length === 0) {
+    return new Date();
+  }
+
+  return new Date(Math.max(...posts.map((post) => getUpdatedDate(post))));
+}
+
+/**
+ * Unique topic tags across all posts, excluding the `posts` collection tag
+ */
+export async function getPostTags({
+  includeDrafts = true,
+  includeScheduled = true,
+} = {}) {
+  const posts = await getPosts();
+  const tags = posts
+    .filter(({ data }) => includeDrafts || !data.draft)
+    .filter(({ data }) => includeScheduled || !isScheduled(data.date))
+    .flatMap(({ data }) => data.tags ?? [])
+    .filter((tag) => tag !== "posts");
+
+  return [...new Set(tags)].toSorted((a, b) => a.localeCompare(b));
+}
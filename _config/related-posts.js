@@ -0,0 +1,140 @@
+import { isPublished } from "./posts.js";
+
+// Common words that carry no meaning about a post's subject
+const stopWordList = `
+  a about above after again all also am an and any are as at be because been
+  before being below between both but by can could did do does doing down during
+  each few for from further get had has have having he her here hers him his how
+  i if in into is it its itself just let like lets make many may me more most
+  much must my no nor not now of off on once only or other our ours out over own
+  same she should so some such than that the their theirs them then there these
+  they this those through to too under until up use used using very was way we
+  well were what when where which while who whom why will with would you your
+`;
+const stopWords = new Set(stopWordList.trim().split(/\s+/));
+
+// Weight of shared tags and text similarity in the combined score
+const tagWeight = 0.4;
+const textWeight = 0.6;
+
+const models = new WeakMap();
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z][a-z0-9-]+/g) ?? []).filter(
+    (word) => !stopWords.has(word),
+  );
+}
+
+// Markdown body without code blocks, link definitions or markup characters
+function getMarkdownText(markdown = "") {
+  return markdown
+    .replaceAll(/^(`{3,}|~{3,})[\s\S]*?^\1/gm, " ")
+    .replaceAll(/^\[[^\]]+\]:.*$/gm, " ")
+    .replaceAll(/<[^>]+>/g, " ");
+}
+
+function getTopicTags(post) {
+  return new Set((post.data.tags || []).filter((tag) => tag !== "posts"));
+}
+
+/**
+ * Build TF-IDF vectors for each post from its title, description and body
+ */
+function buildModel(posts) {
+  const documents = posts.map((post) => {
+    const terms = tokenize(
+      [
+        post.data.title,
+        post.data.description,
+        getMarkdownText(post.page.rawInput),
+      ].join(" "),
+    );
+    const termCounts = new Map();
+
+    for (const term of terms) {
+      termCounts.set(term, (termCounts.get(term) || 0) + 1);
+    }
+
+    return { post, termCounts, length: terms.length };
+  });
+
+  const documentFrequency = new Map();
+  for (const { termCounts } of documents) {
+    for (const term of termCounts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return documents.map(({ post, termCounts, length }) => {
+    const vector = new Map();
+    let sumOfSquares = 0;
+
+    for (const [term, count] of termCounts) {
+      const idf = Math.log(posts.length / documentFrequency.get(term));
+      const weight = (count / length) * idf;
+
+      if (weight > 0) {
+        vector.set(term, weight);
+        sumOfSquares += weight ** 2;
+      }
+    }
+
+    return {
+      post,
+      vector,
+      norm: Math.sqrt(sumOfSquares),
+      tags: getTopicTags(post),
+    };
+  });
+}
+
+function getModel(posts) {
+  // Drafts are left out in dev so suggestions match production
+  if (!models.has(posts)) {
+    models.set(posts, buildModel(posts.filter((post) => isPublished(post))));
+  }
+
+  return models.get(posts);
+}
+
+function cosineSimilarity(a, b) {
+  if (a.norm === 0 || b.norm === 0) {
+    return 0;
+  }
+
+  let dotProduct = 0;
+  for (const [term, weight] of a.vector) {
+    dotProduct += weight * (b.vector.get(term) || 0);
+  }
+
+  return dotProduct / (a.norm * b.norm);
+}
+
+function tagSimilarity(a, b) {
+  const union = a.tags.union(b.tags);
+
+  return union.size === 0 ? 0 : a.tags.intersection(b.tags).size / union.size;
+}
+
+/**
+ * Rank the other posts by similarity to the post at `url`
+ * Equal scores, including posts with nothing in common, rank newest first so
+ * there is always a suggestion when more than one post exists
+ */
+export function getRelatedPosts(posts, url, count = 1) {
+  const model = getModel(posts);
+  const current = model.find(({ post }) => post.url === url);
+
+  return model
+    .filter(({ post }) => post.url !== url)
+    .map((entry) => ({
+      post: entry.post,
+      score: current
+        ? tagWeight * tagSimilarity(current, entry) +
+          textWeight * cosineSimilarity(current, entry)
+        : 0,
+    }))
+    .toSorted((a, b) => b.score - a.score || b.post.date - a.post.date)
+    .slice(0, count)
+    .map(({ post }) => post);
+}
@@ -0,0 +1,69 @@
+const entities = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+  "&nbsp;": " ",
+};
+
+function decodeEntities(text) {
+  return text.replaceAll(/&(?:amp|lt|gt|quot|#39|nbsp);/g, (entity) => {
+    return entities[entity];
+  });
+}
+
+/**
+ * Plain text from a fragment of HTML, without heading anchor links
+ */
+export function toText(html) {
+  const text = html
+    .replaceAll(/<a[^>]*class="heading-anchor"[^>]*>[\s\S]*?<\/a>/g, "")
+    // Block level tags separate words, inline tags don't
+    .replaceAll(
+      /<\/?(?:p|h[1-6]|li|ol|ul|div|blockquote|br|td|th)\b[^>]*>/g,
+      " ",
+    )
+    .replaceAll(/<[^>]+>/g, "");
+
+  return decodeEntities(text).replaceAll(/\s+/g, " ").trim();
+}
+
+/**
+ * Heading text from the rendered HTML of a post
+ */
+export function getHeadings(html) {
+  return Array.from(
+    html.matchAll(/<h([2-6])[^>]*>([\s\S]*?)<\/h\1>/g),
+    (match) => toText(match[2]),
+  );
+}
+
+/**
+ * Body text from the rendered HTML of a post, without code blocks
+ */
+export function getBodyText(html) {
+  return toText(html.replaceAll(/<pre[\s\S]*?<\/pre>/g, " "));
+}
+
+/**
+ * Number of words in the body text of rendered HTML
+ */
+export function getWordCount(html) {
+  return getBodyText(html).split(" ").filter(Boolean).length;
+}
+
+/**
+ * Build the search index for a collection of posts
+ * Only fields that are searched or displayed are included to keep it compact
+ */
+export function buildSearchIndex(posts) {
+  return posts.map((post) => ({
+    url: post.url,
+    title: post.data.title,
+    description: toText(post.data.description),
+    tags: post.data.tags.filter((tag) => tag !== "posts"),
+    headings: getHeadings(post.content),
+    body: getBodyText(post.content),
+  }));
+}
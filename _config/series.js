@@ -0,0 +1,55 @@
+/**
+ * Group posts with `series` front matter into series ordered by `seriesOrder`
+ * Drafts are already removed from collections in build mode by the `drafts`
+ * preprocessor, so part numbers only count published posts
+ */
+export function buildSeries(posts, slugify) {
+  const series = new Map();
+
+  for (const post of posts) {
+    if (!post.data.series) continue;
+
+    const { series: name, seriesOrder } = post.data;
+    const entry = series.get(name) ?? { name, slug: slugify(name), posts: [] };
+    const duplicate = entry.posts.find(
+      (part) => part.data.seriesOrder === seriesOrder,
+    );
+
+    if (duplicate) {
+      throw new Error(
+        `Duplicate seriesOrder ${seriesOrder} in series "${name}": ${duplicate.inputPath} and ${post.inputPath}`,
+      );
+    }
+
+    entry.posts.push(post);
+    series.set(name, entry);
+  }
+
+  return Array.from(series.values(), (entry) => ({
+    ...entry,
+    posts: entry.posts.toSorted(
+      (a, b) => a.data.seriesOrder - b.data.seriesOrder,
+    ),
+  }));
+}
+
+/**
+ * Position of the post at `url` within its series with links either side
+ */
+export function getSeriesNavigation(seriesList, name, url) {
+  const series = seriesList.find((entry) => entry.name === name);
+  const index = series?.posts.findIndex((post) => post.url === url) ?? -1;
+
+  if (index === -1) {
+    return;
+  }
+
+  return {
+    name: series.name,
+    slug: series.slug,
+    part: index + 1,
+    total: series.posts.length,
+    previous: series.posts[index - 1],
+    next: series.posts[index + 1],
+  };
+}
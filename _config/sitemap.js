@@ -0,0 +1,70 @@
+import { execFileSync } from "node:child_process";
+import { isPublished } from "./posts.js";
+
+const commitDates = new Map();
+
+// Date of the last commit to touch a file, undefined for untracked files or
+// when git isn't available
+function getCommitDate(inputPath) {
+  if (!commitDates.has(inputPath)) {
+    let date;
+
+    try {
+      const output = execFileSync(
+        "git",
+        ["log", "-1", "--format=%cI", "--", inputPath],
+        { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] },
+      ).trim();
+
+      date = output ? new Date(output) : undefined;
+    } catch {
+      date = undefined;
+    }
+
+    commitDates.set(inputPath, date);
+  }
+
+  return commitDates.get(inputPath);
+}
+
+/**
+ * Pages to list in the sitemap, only HTML output that isn't a draft or
+ * scheduled
+ */
+export function getSitemapPages(pages) {
+  return pages.filter(
+    (page) =>
+      page.url &&
+      page.outputPath?.endsWith(".html") &&
+      isPublished(page) &&
+      page.data.eleventyExcludeFromCollections !== true,
+  );
+}
+
+/**
+ * The `updated` front matter date, otherwise the last commit to the source
+ * file, falling back to the page date
+ */
+export function getLastModified(page) {
+  return page.data.updated ?? getCommitDate(page.inputPath) ?? page.date;
+}
+
+/**
+ * Site relative paths of the social card and inline images of a page
+ */
+export function getSitemapImages(page) {
+  const images = [];
+
+  if (page.data.social_card) {
+    images.push(`/img/socialcard/${page.data.social_card}`);
+  }
+
+  const inlineImages = (page.content ?? "").matchAll(
+    /<img\b[^>]*\ssrc="(\/[^"]+)"/g,
+  );
+  for (const [, source] of inlineImages) {
+    images.push(source);
+  }
+
+  return [...new Set(images)];
+}
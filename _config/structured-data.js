@@ -0,0 +1,176 @@
+const scriptPattern =
+  /<script type="application\/ld\+json">([\s\S]*?)<\/script>/g;
+
+// Properties each type needs for search engines to use it
+const requiredProperties = {
+  Blog: ["name", "url"],
+  BlogPosting: [
+    "headline",
+    "description",
+    "datePublished",
+    "dateModified",
+    "image",
+    "author",
+    "url",
+  ],
+  BreadcrumbList: ["itemListElement"],
+  Person: ["name", "url"],
+  SoftwareSourceCode: ["name", "description", "codeRepository"],
+  WebSite: ["name", "url"],
+};
+
+function absoluteUrl(url, siteUrl) {
+  return new URL(url, siteUrl).href;
+}
+
+function getAuthor({ author, url }) {
+  return {
+    "@type": "Person",
+    "@id": `${url}#person`,
+    name: author.name,
+    url,
+  };
+}
+
+/**
+ * BlogPosting and breadcrumbs for a post page
+ */
+export function getPostStructuredData(data) {
+  const { metadata, page } = data;
+  const url = absoluteUrl(page.url, metadata.url);
+
+  return [
+    {
+      "@type": "BlogPosting",
+      "@id": `${url}#post`,
+      headline: data.title,
+      description: data.description,
+      datePublished: page.date.toISOString(),
+      dateModified: (data.updated ?? page.date).toISOString(),
+      image: absoluteUrl(
+        `/img/socialcard/${data.social_card ?? "home.jpg"}`,
+        metadata.url,
+      ),
+      keywords: data.tags.filter((tag) => tag !== "posts"),
+      author: getAuthor(metadata),
+      url,
+      mainEntityOfPage: url,
+      inLanguage: metadata.language,
+    },
+    {
+      "@type": "BreadcrumbList",
+      itemListElement: [
+        ["Home", "/"],
+        ["Blog", "/blog/"],
+        [data.title, page.url],
+      ].map(([name, path], index) => ({
+        "@type": "ListItem",
+        position: index + 1,
+        name,
+        item: absoluteUrl(path, metadata.url),
+      })),
+    },
+  ];
+}
+
+/**
+ * The author, the site and open source projects for the homepage
+ */
+export function getHomeStructuredData({ metadata, projects }) {
+  const author = getAuthor(metadata);
+
+  return [
+    {
+      ...author,
+      image: absoluteUrl("/img/headshot.jpeg", metadata.url),
+      sameAs: metadata.author.profiles,
+    },
+    {
+      "@type": "WebSite",
+      "@id": `${metadata.url}#website`,
+      name: metadata.title,
+      description: metadata.description,
+      url: metadata.url,
+      inLanguage: metadata.language,
+      author: { "@id": author["@id"] },
+    },
+    ...projects.map((project) => ({
+      "@type": "SoftwareSourceCode",
+      name: project.title,
+      description: project.description,
+      codeRepository: project.url,
+      programmingLanguage: project.language,
+      license:
+        project.license && `https://spdx.org/licenses/${project.license}.html`,
+      keywords: project.topics,
+      author: { "@id": author["@id"] },
+    })),
+  ];
+}
+
+/**
+ * The blog index as a Blog by the site author
+ */
+export function getBlogStructuredData({ metadata, page, description }) {
+  return [
+    {
+      "@type": "Blog",
+      name: `${metadata.title} blog`,
+      description,
+      url: absoluteUrl(page.url, metadata.url),
+      inLanguage: metadata.language,
+      author: getAuthor(metadata),
+    },
+  ];
+}
+
+/**
+ * Script content for a graph of schema.org nodes, with `<` escaped so the
+ * JSON can't close the script element
+ */
+export function renderStructuredData(nodes) {
+  return JSON.stringify({
+    "@context": "https://schema.org",
+    "@graph": nodes,
+  }).replaceAll("<", String.raw`\u003c`);
+}
+
+// Problems with the content of one JSON-LD script
+function checkScript(json) {
+  let graph;
+
+  try {
+    graph = JSON.parse(json)["@graph"] ?? [];
+  } catch (error) {
+    return [`invalid JSON-LD, ${error.message}`];
+  }
+
+  return graph.flatMap((node) => {
+    const missing = (requiredProperties[node["@type"]] ?? []).filter(
+      (property) =>
+        node[property] === undefined ||
+        node[property] === "" ||
+        (Array.isArray(node[property]) && node[property].length === 0),
+    );
+
+    return missing.length > 0
+      ? [`${node["@type"]} is missing ${missing.join(", ")}`]
+      : [];
+  });
+}
+
+/**
+ * JSON-LD scripts in the HTML output of a build that aren't valid JSON or
+ * are missing required properties, as one message per problem
+ */
+export function checkStructuredData(results) {
+  return results
+    .filter(({ outputPath }) => outputPath?.endsWith(".html"))
+    .flatMap(({ url, content }) =>
+      content
+        .matchAll(scriptPattern)
+        .flatMap(([, json]) => checkScript(json))
+        .map((problem) => `${url}: ${problem}`)
+        .toArray(),
+    );
+}
@@ -0,0 +1,59 @@
+import { toText } from "./search.js";
+
+const headingPattern = /<h([2-6])[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/h\1>/g;
+
+function escapeHtml(text) {
+  return text
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * Headings with an id from rendered HTML, nested by level. Deeper levels are
+ * only nested when they follow a heading one level up, so skipped levels
+ * are lifted to the nearest parent.
+ */
+export function getTableOfContents(html, { maxLevel = 3 } = {}) {
+  const root = { level: 1, children: [] };
+  const parents = [root];
+
+  for (const [, level, id, heading] of html.matchAll(headingPattern)) {
+    if (Number(level) > maxLevel) {
+      continue;
+    }
+
+    const item = {
+      level: Number(level),
+      id,
+      text: toText(heading),
+      children: [],
+    };
+
+    while (parents.at(-1).level >= item.level) {
+      parents.pop();
+    }
+
+    parents.at(-1).children.push(item);
+    parents.push(item);
+  }
+
+  return root.children;
+}
+
+/**
+ * Nested ordered lists linking to each heading
+ */
+export function renderTableOfContents(items) {
+  if (items.length === 0) {
+    return "";
+  }
+
+  const listItems = items.map((item) => {
+    const link = `<a href="#${escapeHtml(item.id)}">${escapeHtml(item.text)}</a>`;
+    return `<li>${link}${renderTableOfContents(item.children)}</li>`;
+  });
+
+  return `<ol>${listItems.join("")}</ol>`;
+}
@@ -1,15 +1,21 @@
-import { z } from "zod";
-import { fromZodError } from "zod-validation-error";
+import {
+  formatValidationError,
+  validatePageData,
+} from "../_config/front-matter-schema.js";
 
-export default function eleventyDataSchema(data) {
-  // Draft content, validate `draft` front matter
-  let result = z
-    .object({
-      draft: z.boolean().optional(),
-    })
-    .safeParse(data);
+function validate(data) {
+  // Posts get the full schema, every other page the looser page schema
+  const result = validatePageData(data);
 
-  if (result.error) {
-    throw fromZodError(result.error);
+  // Drafts can be incomplete while they're written, the drafts dashboard
+  // lists their issues instead
+  if (result.error && !data.draft) {
+    throw formatValidationError(result.error, data.page.inputPath);
   }
 }
+
+// Eleventy calls functions exported from data files to get their value, so
+// return the schema callback rather than exporting it directly
+export default function eleventyDataSchema() {
+  return validate;
+}
@@ -0,0 +1,13 @@
+export default {
+  title: "Phil Parsons",
+  description: "Web developer and bike enthusiast from London, UK",
+  language: "en",
+  url: "https://philparsons.co.uk/",
+  author: {
+    name: "Phil Parsons",
+    profiles: [
+      "https://github.com/p-m-p",
+      "https://linkedin.com/in/phil-parsons-webdev",
+    ],
+  },
+};
@@ -3,54 +3,153 @@
  * Shared configuration and functions for fetching project data
  */
 
-export const GITHUB_API = "https://api.github.com";
+import { readFile, writeFile } from "node:fs/promises";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+import { fetchJson } from "../_config/fetch-cache.js";
+
+// Overridable so builds can run against local mocks of the APIs
+export const GITHUB_API =
+  process.env.GITHUB_API_URL ?? "https://api.github.com";
+export const NPM_API = process.env.NPM_API_URL ?? "https://api.npmjs.org";
 export const USERNAME = "p-m-p";
 
-// Project definitions with repository names and descriptions
+// Project data from the last run of scripts/update-projects.js
+export const snapshotPath = fileURLToPath(
+  new URL("projects-snapshot.json", import.meta.url),
+);
+
+// Project definitions with repository names, descriptions and any npm
+// packages to total weekly downloads for
 export const projectDefinitions = [
   {
     repo: "slider",
     title: "@boxslider",
     description:
       "A zero-dependency, lightweight content slider with multiple transition effects for modern browsers.",
+    packages: ["@boxslider/slider"],
   },
   {
     repo: "parsonic",
     title: "@parsonic",
     description:
       "Standalone web components for common website patterns including copy-to-clipboard, share buttons, and theme switching.",
+    packages: ["@parsonic/all"],
   },
 ];
 
+function fetchGitHub(pathname, cacheOptions) {
+  return fetchJson(`${GITHUB_API}${pathname}`, {
+    ...cacheOptions,
+    headers: {
+      Accept: "application/vnd.github.v3+json",
+      // Use token if available (for higher rate limits)
+      ...(process.env.GITHUB_TOKEN && {
+        Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+      }),
+    },
+  });
+}
+
+/**
+ * Fetch repository data from GitHub API, through the on-disk cache. Cache
+ * options such as `ttl` can be overridden, e.g. a TTL of 0 to revalidate.
+ */
+export async function fetchRepoData(repo, cacheOptions) {
+  const data = await fetchGitHub(`/repos/${USERNAME}/${repo}`, cacheOptions);
+
+  if (!data) {
+    return;
+  }
+
+  return {
+    stars: data.stargazers_count || 0,
+    forks: data.forks_count || 0,
+    url: data.html_url,
+    topics: data.topics ?? [],
+    language: data.language,
+    license: data.license?.spdx_id,
+  };
+}
+
 /**
- * Fetch repository data from GitHub API
+ * Fetch the latest published release of a repository
  */
-export async function fetchRepoData(repo) {
-  const url = `${GITHUB_API}/repos/${USERNAME}/${repo}`;
+export async function fetchLatestRelease(repo, cacheOptions) {
+  const data = await fetchGitHub(
+    `/repos/${USERNAME}/${repo}/releases/latest`,
+    cacheOptions,
+  );
+
+  if (!data) {
+    return;
+  }
+
+  return {
+    name: data.name || data.tag_name,
+    url: data.html_url,
+    date: data.published_at,
+  };
+}
 
+/**
+ * Fetch the total downloads for the last week across npm packages,
+ * undefined if none of the packages could be fetched
+ */
+export async function fetchWeeklyDownloads(packages, cacheOptions) {
+  const results = await Promise.all(
+    packages.map((name) =>
+      fetchJson(`${NPM_API}/downloads/point/last-week/${name}`, cacheOptions),
+    ),
+  );
+  const counts = results
+    .map((result) => result?.downloads)
+    .filter((count) => count !== undefined);
+
+  if (counts.length === 0) {
+    return;
+  }
+
+  return counts.reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Fetch everything shown for a project. Each source is fetched separately
+ * so a failure only leaves out the fields that source provides, unless
+ * `useStaleOnError` is false and the failure is thrown.
+ */
+export async function fetchProjectData(project, cacheOptions) {
+  const [repoData, release, downloads] = await Promise.all([
+    fetchRepoData(project.repo, cacheOptions),
+    fetchLatestRelease(project.repo, cacheOptions),
+    project.packages
+      ? fetchWeeklyDownloads(project.packages, cacheOptions)
+      : undefined,
+  ]);
+
+  return {
+    ...repoData,
+    ...(release && { release }),
+    ...(downloads !== undefined && { downloads }),
+  };
+}
+
+/**
+ * Read the project data snapshot, an empty list if it's missing
+ */
+export async function readSnapshot() {
   try {
-    const response = await fetch(url, {
-      headers: {
-        Accept: "application/vnd.github.v3+json",
-        // Use token if available (for higher rate limits)
-        ...(process.env.GITHUB_TOKEN && {
-          Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
-        }),
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    return {
-      stars: data.stargazers_count || 0,
-      forks: data.forks_count || 0,
-      url: data.html_url,
-    };
+    return JSON.parse(await readFile(snapshotPath, "utf8"));
   } catch (error) {
-    console.warn(`Failed to fetch data for ${repo}:`, error.message);
+    console.warn("Failed to read projects snapshot:", error.message);
+    return [];
   }
 }
+
+export async function writeSnapshot(projects) {
+  await writeFile(
+    snapshotPath,
+    `${JSON.stringify(projects, undefined, 2)}\n`,
+    "utf8",
+  );
+}
@@ -8,28 +8,12 @@
 import {
   USERNAME,
   projectDefinitions,
-  fetchRepoData,
+  fetchProjectData,
+  readSnapshot,
 } from "./projects-config.js";
 
-// Fallback data in case GitHub API is unavailable
-const fallbackData = [
-  {
-    "repo": "slider",
-    "title": "@boxslider",
-    "description": "A zero-dependency, lightweight content slider with multiple transition effects for modern browsers.",
-    "stars": 889,
-    "forks": 230,
-    "url": "https://github.com/p-m-p/slider"
-  },
-  {
-    "repo": "parsonic",
-    "title": "@parsonic",
-    "description": "Standalone web components for common website patterns including copy-to-clipboard, share buttons, and theme switching.",
-    "stars": 4,
-    "forks": 0,
-    "url": "https://github.com/p-m-p/parsonic"
-  }
-];
+// Snapshot from the last update in case GitHub API is unavailable
+const fallbackData = await readSnapshot();
 
 /**
  * Fetch all project data
@@ -37,22 +21,18 @@ const fallbackData = [
 async function fetchAllProjects() {
   const projects = await Promise.all(
     projectDefinitions.map(async (project) => {
-      const repoData = await fetchRepoData(project.repo);
-
-      if (repoData === undefined) {
-        // Use fallback data if fetch failed
-        const fallback = fallbackData.find((p) => p.repo === project.repo);
-        return {
-          ...project,
-          url: `https://github.com/${USERNAME}/${project.repo}`,
-          stars: fallback?.stars || 0,
-          forks: fallback?.forks || 0,
-        };
-      }
+      const projectData = await fetchProjectData(project);
 
+      // Use fallback data for anything that couldn't be fetched
+      const fallback = fallbackData.find((p) => p.repo === project.repo);
       return {
+        url: `https://github.com/${USERNAME}/${project.repo}`,
+        stars: 0,
+        forks: 0,
+        topics: [],
+        ...fallback,
         ...project,
-        ...repoData,
+        ...projectData,
       };
     }),
   );
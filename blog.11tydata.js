@@ -0,0 +1,7 @@
+import { getBlogStructuredData } from "./_config/structured-data.js";
+
+export default {
+  eleventyComputed: {
+    structuredData: getBlogStructuredData,
+  },
+};
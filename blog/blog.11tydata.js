@@ -1,4 +1,9 @@
+import { getPostStructuredData } from "../_config/structured-data.js";
+
 export default {
   tags: ["posts"],
   layout: "layouts/post.njk",
+  eleventyComputed: {
+    structuredData: getPostStructuredData,
+  },
 };
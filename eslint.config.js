@@ -42,6 +42,7 @@ export default [
   {
     files: [
       ".eleventy.js",
+      "_config/**/*.js",
       "_data/**/*.js",
       "blog/**/*.11tydata.js",
       "scripts/**/*.js",
@@ -0,0 +1,7 @@
+import { getHomeStructuredData } from "./_config/structured-data.js";
+
+export default {
+  eleventyComputed: {
+    structuredData: getHomeStructuredData,
+  },
+};
@@ -0,0 +1,121 @@
+/**
+ * Tabs for the code panels of a demo rendered by the `demo` shortcode and a
+ * reset button that reloads the demo iframe. Without JavaScript the panels
+ * are all shown above the result.
+ */
+export class LiveDemo extends HTMLElement {
+  #tabs = [];
+  #panels = [];
+  #iframe = undefined;
+
+  // Removes the resize message listener when disconnected
+  #abortController = undefined;
+
+  #select(index, { focus = false } = {}) {
+    for (const [tabIndex, tab] of this.#tabs.entries()) {
+      const isSelected = tabIndex === index;
+
+      tab.setAttribute("aria-selected", String(isSelected));
+      tab.tabIndex = isSelected ? 0 : -1;
+      this.#panels[tabIndex].hidden = !isSelected;
+    }
+
+    if (focus) {
+      this.#tabs[index].focus();
+    }
+  }
+
+  #onKeydown(event_) {
+    const current = this.#tabs.indexOf(event_.target);
+    const last = this.#tabs.length - 1;
+    const next = {
+      ArrowLeft: current === 0 ? last : current - 1,
+      ArrowRight: current === last ? 0 : current + 1,
+      Home: 0,
+      End: last,
+    }[event_.key];
+
+    if (next === undefined) {
+      return;
+    }
+
+    event_.preventDefault();
+    this.#select(next, { focus: true });
+  }
+
+  #renderTabs() {
+    const tablist = document.createElement("div");
+    tablist.className = "live-demo-tabs";
+    tablist.setAttribute("role", "tablist");
+
+    this.#panels = [...this.querySelectorAll(".live-demo-panel")];
+    this.#tabs = this.#panels.map((panel, index) => {
+      const tab = document.createElement("button");
+      const id = `${this.id}-${index}`;
+
+      tab.type = "button";
+      tab.id = `${id}-tab`;
+      tab.textContent = panel.dataset.label;
+      tab.setAttribute("role", "tab");
+      tab.setAttribute("aria-controls", `${id}-panel`);
+      tab.addEventListener("click", () => this.#select(index));
+
+      panel.id = `${id}-panel`;
+      panel.setAttribute("role", "tabpanel");
+      panel.setAttribute("aria-labelledby", tab.id);
+
+      return tab;
+    });
+
+    tablist.append(...this.#tabs);
+    tablist.addEventListener("keydown", (event_) => this.#onKeydown(event_));
+    this.prepend(tablist);
+    this.#select(0);
+  }
+
+  // The sandboxed demo document posts its height as it changes
+  #onMessage(event_) {
+    if (
+      event_.source !== this.#iframe.contentWindow ||
+      event_.data?.type !== "live-demo-resize"
+    ) {
+      return;
+    }
+
+    this.#iframe.style.height = `${event_.data.height}px`;
+  }
+
+  // Setting srcdoc loads the demo again, the sandbox blocks reaching into the
+  // iframe to reload it
+  reset() {
+    this.#iframe.setAttribute("srcdoc", this.#iframe.getAttribute("srcdoc"));
+  }
+
+  connectedCallback() {
+    this.#iframe = this.querySelector("iframe");
+    this.#abortController = new AbortController();
+
+    // Only render once, the tabs are kept when the element is moved
+    if (this.#tabs.length === 0) {
+      // Tab and panel ids are prefixed with the element id
+      if (!this.id) {
+        const index = [...document.querySelectorAll("live-demo")].indexOf(this);
+        this.id = `live-demo-${index}`;
+      }
+
+      this.#renderTabs();
+
+      const resetButton = this.querySelector(".live-demo-reset");
+      resetButton.hidden = false;
+      resetButton.addEventListener("click", () => this.reset());
+    }
+
+    addEventListener("message", (event_) => this.#onMessage(event_), {
+      signal: this.#abortController.signal,
+    });
+  }
+
+  disconnectedCallback() {
+    this.#abortController.abort();
+  }
+}
@@ -0,0 +1,3 @@
+import { LiveDemo } from "./LiveDemo.js";
+
+customElements.define("live-demo", LiveDemo);
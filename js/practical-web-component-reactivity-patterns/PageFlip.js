@@ -1,9 +1,108 @@
+// Keyframes for each page transition effect, slide is the default
+const effects = {
+  slide: (direction) => ({
+    transform: [`translateX(${direction * 100}%)`, "translateX(0)"],
+    opacity: [0, 0.2, 0.5, 1],
+  }),
+  fade: () => ({ opacity: [0, 1] }),
+};
+
+const defaultDuration = 300;
+
+const defaultInterval = 5000;
+
+// Minimum horizontal distance in pixels for a pointer movement to be a swipe
+const swipeThreshold = 50;
+
+const reducedMotion = globalThis.matchMedia?.(
+  "(prefers-reduced-motion: reduce)",
+);
+
 export class PageFlip extends HTMLElement {
-  static observedAttributes = ["active-page"];
+  static observedAttributes = ["active-page", "autoplay"];
 
   #activePage = 0;
 
-  #setActivePage(pageIndex) {
+  #isPlaying = false;
+
+  // Reasons autoplay is on hold, e.g. hover, resumes once this is empty
+  #holds = new Set();
+
+  #timer = undefined;
+
+  // Removes the event listeners when disconnected
+  #abortController = undefined;
+
+  // Start position of the current pointer gesture
+  #swipeStart = undefined;
+
+  #clamp(pageIndex) {
+    return Math.min(Math.max(pageIndex, 0), this.length - 1);
+  }
+
+  #wrap(pageIndex) {
+    return this.loop ? (pageIndex + this.length) % this.length : pageIndex;
+  }
+
+  #schedule() {
+    clearTimeout(this.#timer);
+
+    if (this.#isPlaying && this.#holds.size === 0) {
+      this.#timer = setTimeout(() => this.#advance(), this.interval);
+    }
+  }
+
+  #advance() {
+    if (!this.loop && this.activePage >= this.length - 1) {
+      this.pause();
+    } else {
+      this.next();
+    }
+  }
+
+  #hold(reason, isHeld) {
+    if (isHeld) {
+      this.#holds.add(reason);
+    } else {
+      this.#holds.delete(reason);
+    }
+
+    this.#schedule();
+  }
+
+  #setPlaying(isPlaying) {
+    if (isPlaying === this.#isPlaying) {
+      return;
+    }
+
+    this.#isPlaying = isPlaying;
+    this.toggleAttribute("playing", isPlaying);
+    this.#schedule();
+    this.dispatchEvent(
+      new CustomEvent(isPlaying ? "play" : "pause", { bubbles: true }),
+    );
+  }
+
+  #animate(page, direction) {
+    let effect = this.effect;
+
+    // Replace movement with a cross fade for reduced motion
+    if (effect === "slide" && reducedMotion?.matches) {
+      effect = "fade";
+    }
+
+    if (effect !== "none") {
+      page.animate(effects[effect](direction), { duration: this.duration });
+    }
+  }
+
+  #setActivePage(index) {
+    if (this.length === 0) {
+      return;
+    }
+
+    const pageIndex = this.#clamp(index);
+
     if (pageIndex === this.activePage) {
       return;
     }
@@ -12,24 +111,15 @@ export class PageFlip extends HTMLElement {
       page.style.setProperty("z-index", "1");
     }
 
-    this.children.item(this.activePage).style.setProperty("z-index", "2");
+    this.children.item(this.activePage)?.style.setProperty("z-index", "2");
 
     const page = this.children.item(pageIndex);
     page.style.setProperty("z-index", "3");
-    page.animate(
-      {
-        transform: [
-          pageIndex > this.activePage
-            ? "translateX(100%)"
-            : "translateX(-100%)",
-          "translateX(0)",
-        ],
-        opacity: [0, 0.2, 0.5, 1],
-      },
-      { duration: 300 },
-    );
+    this.#animate(page, pageIndex > this.activePage ? 1 : -1);
 
     this.#activePage = pageIndex;
+    // Restart the interval so a manual page change gets the full time
+    this.#schedule();
     this.dispatchEvent(
       new CustomEvent("pagechange", {
         bubbles: true,
@@ -41,6 +131,55 @@ export class PageFlip extends HTMLElement {
     );
   }
 
+  #handleKeyDown(event) {
+    // Leave arrow keys to focusable content such as buttons and inputs
+    if (event.target !== this) {
+      return;
+    }
+
+    const pageIndex = {
+      ArrowLeft: this.#wrap(this.activePage - 1),
+      ArrowRight: this.#wrap(this.activePage + 1),
+      Home: 0,
+      End: this.length - 1,
+    }[event.key];
+
+    if (pageIndex !== undefined) {
+      event.preventDefault();
+      this.activePage = this.#clamp(pageIndex);
+    }
+  }
+
+  // Capture the pointer once it moves far enough to be a swipe so the gesture
+  // ends here even if released outside, taps stay with the content clicked
+  #handlePointerMove(event) {
+    if (
+      this.#swipeStart !== undefined &&
+      Math.abs(event.clientX - this.#swipeStart) >= swipeThreshold &&
+      !this.hasPointerCapture(event.pointerId)
+    ) {
+      this.setPointerCapture(event.pointerId);
+    }
+  }
+
+  #handlePointerUp(event) {
+    if (this.#swipeStart === undefined) {
+      return;
+    }
+
+    const distance = event.clientX - this.#swipeStart;
+    this.#swipeStart = undefined;
+
+    if (Math.abs(distance) >= swipeThreshold) {
+      // Swiping left moves to the next page
+      if (distance < 0) {
+        this.next();
+      } else {
+        this.previous();
+      }
+    }
+  }
+
   get length() {
     return this.children.length;
   }
@@ -57,8 +196,154 @@ export class PageFlip extends HTMLElement {
     }
   }
 
+  get duration() {
+    const duration = Number(this.getAttribute("duration"));
+    return this.hasAttribute("duration") && duration >= 0
+      ? duration
+      : defaultDuration;
+  }
+
+  set duration(duration) {
+    this.setAttribute("duration", duration);
+  }
+
+  get effect() {
+    const effect = this.getAttribute("effect");
+    return effect === "none" || Object.hasOwn(effects, effect)
+      ? effect
+      : "slide";
+  }
+
+  set effect(effect) {
+    this.setAttribute("effect", effect);
+  }
+
+  get interval() {
+    const interval = Number(this.getAttribute("interval"));
+    return interval > 0 ? interval : defaultInterval;
+  }
+
+  set interval(interval) {
+    this.setAttribute("interval", interval);
+  }
+
+  get loop() {
+    return this.hasAttribute("loop");
+  }
+
+  set loop(loop) {
+    this.toggleAttribute("loop", Boolean(loop));
+  }
+
+  get paused() {
+    return !this.#isPlaying;
+  }
+
+  next() {
+    this.activePage = this.#clamp(this.#wrap(this.activePage + 1));
+  }
+
+  previous() {
+    this.activePage = this.#clamp(this.#wrap(this.activePage - 1));
+  }
+
+  play() {
+    this.#setPlaying(true);
+  }
+
+  pause() {
+    this.#setPlaying(false);
+  }
+
+  connectedCallback() {
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+
+    // Focusable so the arrow keys can change pages
+    if (!this.hasAttribute("tabindex")) {
+      this.tabIndex = 0;
+    }
+
+    // Leave vertical scrolling to the browser but handle horizontal swipes
+    this.style.setProperty("touch-action", "pan-y");
+
+    this.addEventListener("keydown", (event) => this.#handleKeyDown(event), {
+      signal,
+    });
+    this.addEventListener(
+      "pointerdown",
+      (event) => {
+        this.#swipeStart = event.clientX;
+      },
+      { signal },
+    );
+    this.addEventListener(
+      "pointermove",
+      (event) => this.#handlePointerMove(event),
+      { signal },
+    );
+    this.addEventListener(
+      "pointerup",
+      (event) => this.#handlePointerUp(event),
+      { signal },
+    );
+
+    // A gesture that leaves before it's captured, or is cancelled, isn't a
+    // swipe so a later pointerup isn't measured from its start
+    for (const type of ["pointerleave", "pointercancel"]) {
+      this.addEventListener(
+        type,
+        () => {
+          this.#swipeStart = undefined;
+        },
+        { signal },
+      );
+    }
+
+    // Hold autoplay while the pages are being looked at or interacted with
+    this.addEventListener("pointerenter", () => this.#hold("hover", true), {
+      signal,
+    });
+    this.addEventListener("pointerleave", () => this.#hold("hover", false), {
+      signal,
+    });
+    this.addEventListener("focusin", () => this.#hold("focus", true), {
+      signal,
+    });
+    this.addEventListener(
+      "focusout",
+      (event) => this.#hold("focus", this.contains(event.relatedTarget)),
+      { signal },
+    );
+    document.addEventListener(
+      "visibilitychange",
+      () => this.#hold("hidden", document.hidden),
+      { signal },
+    );
+
+    // Resume when moved in the document, otherwise start autoplay unless
+    // motion is reduced so pages don't change by themselves
+    if (this.#isPlaying) {
+      this.#schedule();
+    } else if (this.hasAttribute("autoplay") && !reducedMotion?.matches) {
+      this.play();
+    }
+  }
+
+  disconnectedCallback() {
+    this.#abortController?.abort();
+    this.#holds.clear();
+    clearTimeout(this.#timer);
+  }
+
   attributeChangedCallback(name, _, newValue) {
-    if (name !== "active-page") {
+    if (name === "autoplay") {
+      // Upgraded elements are connected before connectedCallback runs, leave
+      // starting playback to it so reduced motion is checked
+      if (this.#abortController?.signal.aborted === false) {
+        this.#setPlaying(newValue !== null && !reducedMotion?.matches);
+      }
+
       return;
     }
 
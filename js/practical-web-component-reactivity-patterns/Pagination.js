@@ -1,9 +1,12 @@
+import { PaginationController } from "./PaginationController.js";
+import { attachPaginationShadowRoot } from "./paginationTemplate.js";
+
 export class Pagination extends HTMLElement {
   // State of the currently selected page index
   #selectedPageIndex = 0;
 
-  // Page selection indicator
-  #selectionIndicator = undefined;
+  // Status, button state and URL syncing
+  #controller = undefined;
 
   // NodeList of the pages in the default slot
   #pages = undefined;
@@ -16,41 +19,48 @@ export class Pagination extends HTMLElement {
     // Store the new page index
     this.#selectedPageIndex = pageIndex;
 
-    // Update indicator to show selected page
-    this.#selectionIndicator.textContent = `Page ${pageIndex + 1} of ${this.#pages.length}`;
+    // Update the status and controls to show the selected page
+    this.#controller.update(pageIndex, this.#pages.length);
   }
 
-  connectedCallback() {
-    // Attach a shadow root using the template
-    const shadow = this.attachShadow({ mode: "open" });
-    const template = document.querySelector("#pagination-tmpl");
+  #setPages(slot) {
+    this.#pages = slot.assignedElements();
+    // Start by hiding all pages
+    for (const page of this.#pages) page.style.setProperty("display", "none");
+    this.#setSelectedPage(0);
+  }
 
-    shadow.append(template.content.cloneNode(true));
+  #render() {
+    // Server rendered elements already have a declarative shadow root
+    const isServerRendered = Boolean(this.shadowRoot);
+    const shadow = this.shadowRoot ?? attachPaginationShadowRoot(this);
+    const slot = shadow.querySelector("slot");
 
-    // Store a reference to the selected page indicator
-    this.#selectionIndicator = shadow.querySelector("#status");
+    // Handles the pagination buttons and calls back with the page to show
+    this.#controller = new PaginationController(this, shadow, (pageIndex) =>
+      this.#setSelectedPage(pageIndex),
+    );
 
     // Listen for slot changes to store reference to the pages and
     // set the initial state of the page selection status
-    shadow.querySelector("slot").addEventListener("slotchange", (event_) => {
-      this.#pages = event_.target.assignedElements();
-      // Start by hiding all pages
-      for (const page of this.#pages) page.style.setProperty("display", "none");
-      this.#setSelectedPage(0);
-    });
-
-    // Add event listeners for pagination buttons
-    shadow.querySelector("#prev").addEventListener("click", () => {
-      if (this.#selectedPageIndex > 0) {
-        this.#setSelectedPage(this.#selectedPageIndex - 1);
-      }
-    });
-    shadow.querySelector("#next").addEventListener("click", () => {
-      const nextPage = this.#selectedPageIndex + 1;
-
-      if (nextPage < (this.#pages?.length ?? 0)) {
-        this.#setSelectedPage(nextPage);
-      }
-    });
+    slot.addEventListener("slotchange", () => this.#setPages(slot));
+
+    // Slot changes from parsing happen before the element is defined
+    if (isServerRendered) {
+      this.#setPages(slot);
+    }
+  }
+
+  connectedCallback() {
+    // Only render once, the shadow root is kept when the element is moved
+    if (!this.#controller) {
+      this.#render();
+    }
+
+    this.#controller.connect();
+  }
+
+  disconnectedCallback() {
+    this.#controller.disconnect();
   }
 }
@@ -0,0 +1,200 @@
+/**
+ * Shared behaviour for the pagination components. Announces page changes
+ * through the status live region, disables the previous and next buttons at
+ * the edges, renders numbered page buttons when the host has a `numbered`
+ * attribute and keeps the page in the URL when the host has a `sync-url`
+ * attribute. The page is a query parameter by default, `sync-url="hash"`
+ * adds it to the fragment alongside any existing content, e.g.
+ * `#section&page=2`, though the browser then can't scroll to `#section`.
+ *
+ * Hosts call `update` whenever the active page changes, handle page
+ * selection in the `onSelect` callback and call `connect` and `disconnect`
+ * from their own lifecycle callbacks.
+ */
+export class PaginationController {
+  #host = undefined;
+
+  // Called with the page index the user selected
+  #onSelect = undefined;
+
+  #status = undefined;
+  #prev = undefined;
+  #next = undefined;
+
+  // Container for the numbered page buttons
+  #numbers = undefined;
+
+  #activePage = 0;
+  #totalPages = 0;
+  #loop = false;
+
+  // Whether the initial page has been read from the URL
+  #hasRestoredPage = false;
+
+  // Removes the window event listeners when disconnected
+  #abortController = undefined;
+
+  constructor(host, shadowRoot, onSelect) {
+    this.#host = host;
+    this.#onSelect = onSelect;
+    this.#status = shadowRoot.querySelector("#status");
+    this.#prev = shadowRoot.querySelector("#prev");
+    this.#next = shadowRoot.querySelector("#next");
+    this.#numbers = shadowRoot.querySelector("#numbers");
+
+    // Announce page changes politely without moving focus
+    this.#status.setAttribute("role", "status");
+    this.#status.setAttribute("aria-live", "polite");
+
+    this.#prev.addEventListener("click", () => {
+      this.#select(this.#activePage - 1);
+    });
+    this.#next.addEventListener("click", () => {
+      this.#select(this.#activePage + 1);
+    });
+  }
+
+  get #syncMode() {
+    const mode = this.#host.getAttribute("sync-url");
+
+    // A `sync-url` attribute without `hash` keeps the page in the query
+    return mode === null ? undefined : mode === "hash" ? "hash" : "query";
+  }
+
+  // Separate parameter names let several components share one URL
+  get #parameterName() {
+    return this.#host.id || "page";
+  }
+
+  // Fragment parts separated by `&`, the page is one `name=value` part and
+  // the others, such as a heading id, are kept as they are
+  #getHashParts(url) {
+    const prefix = `${this.#parameterName}=`;
+    const parts = url.hash.slice(1).split("&").filter(Boolean);
+
+    return {
+      page: parts.find((part) => part.startsWith(prefix))?.slice(prefix.length),
+      others: parts.filter((part) => !part.startsWith(prefix)),
+    };
+  }
+
+  #readPage() {
+    const url = new URL(location.href);
+    const page = Number(
+      this.#syncMode === "hash"
+        ? this.#getHashParts(url).page
+        : url.searchParams.get(this.#parameterName),
+    );
+
+    return Number.isSafeInteger(page) && page > 0 ? page - 1 : undefined;
+  }
+
+  #writePage() {
+    if (this.#readPage() === this.#activePage) {
+      return;
+    }
+
+    const url = new URL(location.href);
+    const page = String(this.#activePage + 1);
+
+    if (this.#syncMode === "hash") {
+      url.hash = [
+        ...this.#getHashParts(url).others,
+        `${this.#parameterName}=${page}`,
+      ].join("&");
+    } else {
+      url.searchParams.set(this.#parameterName, page);
+    }
+
+    history.replaceState(history.state, "", url);
+  }
+
+  #restorePage() {
+    const pageIndex = this.#readPage();
+
+    if (pageIndex !== undefined && pageIndex < this.#totalPages) {
+      this.#select(pageIndex);
+    }
+  }
+
+  #select(pageIndex) {
+    const index = this.#loop
+      ? (pageIndex + this.#totalPages) % this.#totalPages
+      : pageIndex;
+
+    if (index >= 0 && index < this.#totalPages && index !== this.#activePage) {
+      this.#onSelect(index);
+    }
+  }
+
+  #renderNumbers() {
+    if (!this.#numbers || !this.#host.hasAttribute("numbered")) {
+      return;
+    }
+
+    if (this.#numbers.children.length !== this.#totalPages) {
+      this.#numbers.replaceChildren(
+        ...Array.from({ length: this.#totalPages }, (_, index) => {
+          const button = document.createElement("button");
+
+          button.textContent = index + 1;
+          button.setAttribute("aria-label", `Page ${index + 1}`);
+          button.setAttribute("aria-controls", "pages");
+          button.addEventListener("click", () => this.#select(index));
+
+          return button;
+        }),
+      );
+    }
+
+    for (const [index, button] of [...this.#numbers.children].entries()) {
+      button.setAttribute("aria-current", String(index === this.#activePage));
+    }
+  }
+
+  #render() {
+    this.#status.textContent = `Page ${this.#activePage + 1} of ${this.#totalPages}`;
+
+    const isLooping = this.#loop && this.#totalPages > 1;
+    this.#prev.disabled = !isLooping && this.#activePage <= 0;
+    this.#next.disabled =
+      !isLooping && this.#activePage >= this.#totalPages - 1;
+
+    this.#renderNumbers();
+  }
+
+  update(activePage, totalPages, { loop = false } = {}) {
+    this.#activePage = activePage;
+    this.#totalPages = totalPages;
+    this.#loop = loop;
+    this.#render();
+
+    if (totalPages === 0 || !this.#syncMode) {
+      return;
+    }
+
+    // Open a deep linked page first, then keep the URL up to date
+    if (this.#hasRestoredPage) {
+      this.#writePage();
+    } else {
+      this.#hasRestoredPage = true;
+      this.#restorePage();
+    }
+  }
+
+  connect() {
+    this.#abortController = new AbortController();
+
+    if (this.#syncMode) {
+      addEventListener(
+        this.#syncMode === "hash" ? "hashchange" : "popstate",
+        () => this.#restorePage(),
+        { signal: this.#abortController.signal },
+      );
+    }
+  }
+
+  disconnect() {
+    this.#abortController?.abort();
+  }
+}
@@ -1,49 +1,94 @@
+import { PaginationController } from "./PaginationController.js";
+import { attachPaginationShadowRoot } from "./paginationTemplate.js";
+
 export class PaginationEvent extends HTMLElement {
-  // Page selection indicator
-  #selectionIndicator = undefined;
+  // Status, button state and URL syncing
+  #controller = undefined;
 
   // Animation container reference
   #animationContainer = undefined;
 
-  connectedCallback() {
-    // Attach a shadow root using the template
-    const shadow = this.attachShadow({ mode: "open" });
-    const template = document.querySelector("#pagination-tmpl");
+  // Autoplay toggle, only shown when the container has autoplay
+  #playButton = undefined;
+
+  #updateController() {
+    const container = this.#animationContainer;
 
-    shadow.append(template.content.cloneNode(true));
+    this.#controller.update(container.activePage, container.length, {
+      loop: container.loop,
+    });
+  }
 
-    // Store a reference to the selected page indicator
-    this.#selectionIndicator = shadow.querySelector("#status");
+  #setPlayButton() {
+    if (!this.#playButton) {
+      return;
+    }
 
+    this.#playButton.hidden =
+      !this.#animationContainer.hasAttribute("autoplay");
+    this.#playButton.textContent = this.#animationContainer.paused
+      ? "Play"
+      : "Pause";
+  }
+
+  #setAnimationContainer(slot) {
+    this.#animationContainer = slot.assignedElements()[0];
+    if (!this.#animationContainer) {
+      return;
+    }
+
+    this.#updateController();
+    this.#setPlayButton();
+  }
+
+  #render() {
+    // Server rendered elements already have a declarative shadow root
+    const isServerRendered = Boolean(this.shadowRoot);
+    const shadow = this.shadowRoot ?? attachPaginationShadowRoot(this);
     const slot = shadow.querySelector("slot");
 
+    // Handles the pagination buttons and calls back with the page to show
+    this.#controller = new PaginationController(this, shadow, (pageIndex) => {
+      this.#animationContainer.activePage = pageIndex;
+    });
+    this.#playButton = shadow.querySelector("#play");
+
     // Listen for slot changes to store reference to the animation container
-    slot.addEventListener("slotchange", (event_) => {
-      this.#animationContainer = event_.target.assignedElements()[0];
-      this.#selectionIndicator.textContent = `Page ${this.#animationContainer.activePage + 1} of ${this.#animationContainer.length}`;
+    slot.addEventListener("slotchange", () => {
+      this.#setAnimationContainer(slot);
     });
 
     // Event listener for page change events to update the status indicator
-    slot.addEventListener("pagechange", (event_) => {
-      const { activePage, totalPages } = event_.detail;
-
-      this.#selectionIndicator.textContent = `Page ${activePage + 1} of ${totalPages}`;
-    });
+    slot.addEventListener("pagechange", () => this.#updateController());
 
-    // Add event listeners for pagination buttons
-    shadow.querySelector("#prev").addEventListener("click", () => {
-      const activePage = this.#animationContainer.activePage;
+    // Event listeners for autoplay starting and stopping
+    slot.addEventListener("play", () => this.#setPlayButton());
+    slot.addEventListener("pause", () => this.#setPlayButton());
 
-      if (activePage > 0) {
-        this.#animationContainer.activePage = activePage - 1;
+    this.#playButton?.addEventListener("click", () => {
+      if (this.#animationContainer.paused) {
+        this.#animationContainer.play();
+      } else {
+        this.#animationContainer.pause();
       }
     });
-    shadow.querySelector("#next").addEventListener("click", () => {
-      const nextPage = this.#animationContainer.activePage + 1;
 
-      if (nextPage < this.#animationContainer.length) {
-        this.#animationContainer.activePage = nextPage;
-      }
-    });
+    // Slot changes from parsing happen before the element is defined
+    if (isServerRendered) {
+      this.#setAnimationContainer(slot);
+    }
+  }
+
+  connectedCallback() {
+    // Only render once, the shadow root is kept when the element is moved
+    if (!this.#controller) {
+      this.#render();
+    }
+
+    this.#controller.connect();
+  }
+
+  disconnectedCallback() {
+    this.#controller.disconnect();
   }
 }
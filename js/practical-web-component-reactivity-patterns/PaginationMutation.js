@@ -1,10 +1,16 @@
+import { PaginationController } from "./PaginationController.js";
+import { attachPaginationShadowRoot } from "./paginationTemplate.js";
+
 export class PaginationMutation extends HTMLElement {
-  // Page selection indicator
-  #selectionIndicator = undefined;
+  // Status, button state and URL syncing
+  #controller = undefined;
 
   // Animation container reference
   #animationContainer = undefined;
 
+  // Autoplay toggle, only shown when the container has autoplay
+  #playButton = undefined;
+
   // Mutation observer reference
   #observer = undefined;
 
@@ -13,61 +19,105 @@ export class PaginationMutation extends HTMLElement {
 
     this.#observer = new MutationObserver(() => {
       this.#setSelectedPage();
+      this.#setPlayButton();
     });
   }
 
   #setSelectedPage() {
-    const page = this.#animationContainer.activePage + 1;
-    const totalPages = this.#animationContainer.length;
+    const container = this.#animationContainer;
 
-    this.#selectionIndicator.textContent = `Page ${page} of ${totalPages}`;
+    this.#controller.update(container.activePage, container.length, {
+      loop: container.hasAttribute("loop"),
+    });
   }
 
-  connectedCallback() {
-    // Attach a shadow root using the template
-    const shadow = this.attachShadow({ mode: "open" });
-    const template = document.querySelector("#pagination-tmpl");
+  #setPlayButton() {
+    if (!this.#playButton) {
+      return;
+    }
 
-    shadow.append(template.content.cloneNode(true));
+    const container = this.#animationContainer;
 
-    // Store a reference to the selected page indicator
-    this.#selectionIndicator = shadow.querySelector("#status");
+    this.#playButton.hidden = !container.hasAttribute("autoplay");
+    // The playing attribute reflects whether autoplay is running
+    this.#playButton.textContent = container.hasAttribute("playing")
+      ? "Pause"
+      : "Play";
+  }
 
-    // Listen for slot changes to store reference to the animation container
-    shadow.querySelector("slot").addEventListener("slotchange", (event_) => {
-      // Remove any previous observerations
-      this.#observer.disconnect();
-
-      this.#animationContainer = event_.target.assignedElements()[0];
-      // Add the element to the observer for active-page attribute
-      // and child list updates
-      this.#observer.observe(this.#animationContainer, {
-        attributes: true,
-        attributeFilter: ["active-page"],
-        childList: true,
-      });
+  #observe() {
+    // Add the element to the observer for active-page and autoplay
+    // attributes and child list updates
+    this.#observer.observe(this.#animationContainer, {
+      attributes: true,
+      attributeFilter: ["active-page", "autoplay", "loop", "playing"],
+      childList: true,
+    });
+  }
 
-      this.#setSelectedPage();
+  #setAnimationContainer(slot) {
+    // Remove any previous observerations
+    this.#observer.disconnect();
+
+    this.#animationContainer = slot.assignedElements()[0];
+    if (!this.#animationContainer) {
+      return;
+    }
+
+    this.#observe();
+    this.#setSelectedPage();
+    this.#setPlayButton();
+  }
+
+  #render() {
+    // Server rendered elements already have a declarative shadow root
+    const isServerRendered = Boolean(this.shadowRoot);
+    const shadow = this.shadowRoot ?? attachPaginationShadowRoot(this);
+    const slot = shadow.querySelector("slot");
+
+    // Handles the pagination buttons and calls back with the page to show
+    this.#controller = new PaginationController(this, shadow, (pageIndex) => {
+      this.#animationContainer.activePage = pageIndex;
     });
+    this.#playButton = shadow.querySelector("#play");
 
-    // Add event listeners for pagination buttons
-    shadow.querySelector("#prev").addEventListener("click", () => {
-      const activePage = this.#animationContainer.activePage;
+    // Listen for slot changes to store reference to the animation container
+    slot.addEventListener("slotchange", () => {
+      this.#setAnimationContainer(slot);
+    });
 
-      if (activePage > 0) {
-        this.#animationContainer.activePage = activePage - 1;
+    this.#playButton?.addEventListener("click", () => {
+      if (this.#animationContainer.hasAttribute("playing")) {
+        this.#animationContainer.pause();
+      } else {
+        this.#animationContainer.play();
       }
     });
-    shadow.querySelector("#next").addEventListener("click", () => {
-      const nextPage = this.#animationContainer.activePage + 1;
 
-      if (nextPage < this.#animationContainer.length) {
-        this.#animationContainer.activePage = nextPage;
+    // Slot changes from parsing happen before the element is defined
+    if (isServerRendered) {
+      this.#setAnimationContainer(slot);
+    }
+  }
+
+  connectedCallback() {
+    // Only render once, the shadow root is kept when the element is moved
+    if (this.#controller) {
+      // Observations stop on disconnect so pick up any missed changes
+      if (this.#animationContainer) {
+        this.#observe();
+        this.#setSelectedPage();
+        this.#setPlayButton();
       }
-    });
+    } else {
+      this.#render();
+    }
+
+    this.#controller.connect();
   }
 
   disconnectedCallback() {
     this.#observer.disconnect();
+    this.#controller.disconnect();
   }
 }
@@ -0,0 +1,114 @@
+// Default shadow root content shared by the pagination components. Kept as
+// strings so the same markup can be rendered on the server as declarative
+// shadow DOM.
+export const paginationStyles = `
+  :host {
+    display: grid;
+    grid-template:
+      "pages pages" 1fr
+      "status controls" auto;
+    gap: 0.5rem;
+  }
+
+  #pages {
+    grid-area: pages;
+    position: relative;
+  }
+
+  #status {
+    align-self: center;
+    font-size: 0.875rem;
+    grid-area: status;
+    justify-self: left;
+  }
+
+  #controls {
+    grid-area: controls;
+    justify-self: right;
+  }
+
+  button {
+    background: light-dark(rgb(255 255 255 / 50%), rgb(255 255 255 / 10%));
+    border: solid 1px light-dark(rgb(0 0 0 / 20%), rgb(255 255 255 / 20%));
+    border-radius: 0.25rem;
+    color: inherit;
+    font-size: 0.875rem;
+    font-weight: 500;
+    margin: 0 0 0 0.5rem;
+    padding: 0.5rem 1rem;
+  }
+
+  button:disabled {
+    opacity: 0.5;
+  }
+
+  button[aria-current="true"] {
+    font-weight: 700;
+    border-color: currentColor;
+  }
+`;
+
+export const paginationMarkup = `
+  <div id="pages">
+    <slot></slot>
+  </div>
+  <div id="status"><!-- Page 1 of n --></div>
+  <div id="controls">
+    <button id="play" hidden>Pause</button>
+    <button id="prev" aria-controls="pages">Previous</button>
+    <span id="numbers"></span>
+    <button id="next" aria-controls="pages">Next</button>
+  </div>
+`;
+
+// Created on first use so the module can be imported outside the browser
+const defaults = {};
+
+function getStyleSheet() {
+  if (!defaults.styleSheet) {
+    defaults.styleSheet = new CSSStyleSheet();
+    defaults.styleSheet.replaceSync(paginationStyles);
+  }
+
+  return defaults.styleSheet;
+}
+
+function getTemplate() {
+  if (!defaults.template) {
+    defaults.template = document.createElement("template");
+    defaults.template.innerHTML = paginationMarkup;
+  }
+
+  return defaults.template;
+}
+
+/**
+ * Declarative shadow DOM for a pagination component rendered on the server
+ */
+export function renderPaginationShadowRoot() {
+  const html = `<template shadowrootmode="open"><style>${paginationStyles}</style>${paginationMarkup}</template>`;
+
+  // A single line so it can be used inside HTML blocks in Markdown
+  return html.replaceAll(/\s*\n\s*/g, " ");
+}
+
+/**
+ * Attach and fill the shadow root of a pagination component. Uses the
+ * template named by the host's `template` attribute when it exists,
+ * otherwise the default template and a shared constructable stylesheet.
+ */
+export function attachPaginationShadowRoot(host) {
+  const shadow = host.attachShadow({ mode: "open" });
+  const templateId = host.getAttribute("template");
+  const customTemplate =
+    templateId && document.querySelector(`#${CSS.escape(templateId)}`);
+
+  if (customTemplate) {
+    shadow.append(customTemplate.content.cloneNode(true));
+  } else {
+    shadow.adoptedStyleSheets = [getStyleSheet()];
+    shadow.append(getTemplate().content.cloneNode(true));
+  }
+
+  return shadow;
+}
@@ -0,0 +1,341 @@
+const template = document.createElement("template");
+template.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      position: relative;
+    }
+
+    input {
+      background: var(--color-bg-glass, transparent);
+      border: 1px solid var(--color-border-primary, currentColor);
+      border-radius: 1rem;
+      color: inherit;
+      font: inherit;
+      font-size: 0.875rem;
+      padding: var(--spacing-2xs, 0.25rem) var(--spacing-sm, 0.75rem);
+      width: 100%;
+    }
+
+    .visually-hidden {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+      clip-path: inset(50%);
+      white-space: nowrap;
+    }
+
+    .results {
+      background: var(--color-bg-secondary, Canvas);
+      border: 1px solid var(--color-border-glass, currentColor);
+      border-radius: 0.75rem;
+      box-shadow: var(--glass-shadow, none);
+      inset-inline-end: 0;
+      list-style: none;
+      margin: var(--spacing-xs, 0.5rem) 0 0;
+      max-height: 70vh;
+      overflow-y: auto;
+      padding: var(--spacing-xs, 0.5rem);
+      position: absolute;
+      width: min(28rem, 90vw);
+      z-index: 10;
+
+      &[hidden] {
+        display: none;
+      }
+    }
+
+    .result a {
+      border-radius: 0.5rem;
+      color: inherit;
+      display: block;
+      padding: var(--spacing-xs, 0.5rem);
+      text-decoration: none;
+
+      &:hover,
+      &:focus-visible {
+        background: var(--color-bg-action, transparent);
+      }
+    }
+
+    .result-title {
+      color: var(--color-link, inherit);
+      display: block;
+      font-weight: 600;
+    }
+
+    .result-excerpt {
+      color: var(--color-text-secondary, inherit);
+      display: block;
+      font-size: 0.875rem;
+    }
+
+    mark {
+      background: none;
+      color: var(--color-primary-300, inherit);
+      font-weight: 700;
+    }
+  </style>
+  <form role="search">
+    <label for="query" class="visually-hidden">Search posts</label>
+    <input id="query" type="search" placeholder="Search posts" autocomplete="off" aria-controls="results">
+    <p id="status" class="visually-hidden" role="status"></p>
+    <ol id="results" class="results" hidden></ol>
+  </form>
+`;
+
+// Relative importance of a match in each field of an index entry
+const fieldWeights = {
+  title: 10,
+  tags: 6,
+  headings: 4,
+  description: 3,
+  body: 1,
+};
+
+const maxResults = 8;
+
+function escapeRegExp(text) {
+  return text.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+}
+
+function tokenize(text) {
+  return [...new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu))];
+}
+
+// Count the words in a field that start with a search term
+function countMatches(field, term) {
+  return (
+    field.match(new RegExp(String.raw`\b${escapeRegExp(term)}`, "g"))?.length ??
+    0
+  );
+}
+
+// Lowercase each searchable field once when the index loads
+function prepareEntry(entry) {
+  return {
+    entry,
+    fields: {
+      title: entry.title.toLowerCase(),
+      tags: entry.tags.join(" ").toLowerCase(),
+      headings: entry.headings.join(" ").toLowerCase(),
+      description: entry.description.toLowerCase(),
+      body: entry.body.toLowerCase(),
+    },
+  };
+}
+
+// Every term must match at least one field, more important fields and
+// repeated matches rank higher
+function score({ fields }, terms) {
+  let total = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+
+    for (const [field, weight] of Object.entries(fieldWeights)) {
+      const count = countMatches(fields[field], term);
+
+      if (count > 0) {
+        termScore += weight * (1 + Math.log(count));
+      }
+    }
+
+    if (termScore === 0) {
+      return 0;
+    }
+
+    total += termScore;
+  }
+
+  return total;
+}
+
+// Text around the first body match, for posts that match outside the description
+function excerpt(text, terms) {
+  const lowerText = text.toLowerCase();
+  const position = Math.min(
+    ...terms
+      .map((term) => lowerText.indexOf(term))
+      .filter((index) => index >= 0),
+  );
+
+  if (!Number.isFinite(position)) {
+    return text.slice(0, 160);
+  }
+
+  const start = Math.max(0, text.lastIndexOf(" ", Math.max(0, position - 60)));
+  const end = text.indexOf(" ", position + 100);
+
+  return `${start > 0 ? "…" : ""}${text.slice(start, end === -1 ? undefined : end).trim()}${end === -1 ? "" : "…"}`;
+}
+
+// Wrap matched terms in <mark> elements without parsing the text as HTML
+function highlight(text, terms) {
+  const fragment = document.createDocumentFragment();
+  const pattern = new RegExp(
+    `(${terms.map((term) => escapeRegExp(term)).join("|")})`,
+    "gi",
+  );
+
+  for (const [index, part] of text.split(pattern).entries()) {
+    if (index % 2 === 1) {
+      const mark = document.createElement("mark");
+      mark.textContent = part;
+      fragment.append(mark);
+    } else {
+      fragment.append(part);
+    }
+  }
+
+  return fragment;
+}
+
+async function fetchIndex(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Failed to load search index: ${response.status}`);
+  }
+
+  const entries = await response.json();
+
+  return entries.map((entry) => prepareEntry(entry));
+}
+
+export class SiteSearch extends HTMLElement {
+  // Promise of the prepared search index, loaded on first use
+  #index = undefined;
+
+  // Search input, results list and screen reader status
+  #input = undefined;
+  #results = undefined;
+  #status = undefined;
+
+  async #loadIndex() {
+    this.#index ??= fetchIndex(this.src);
+
+    try {
+      return await this.#index;
+    } catch (error) {
+      // Allow another attempt on the next search
+      this.#index = undefined;
+      throw error;
+    }
+  }
+
+  #clear() {
+    this.#results.replaceChildren();
+    this.#results.hidden = true;
+    this.#status.textContent = "";
+  }
+
+  #render(matches, terms) {
+    const items = matches.map(({ entry }) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      const title = document.createElement("span");
+      const summary = document.createElement("span");
+      const descriptionMatches = terms.some((term) =>
+        entry.description.toLowerCase().includes(term),
+      );
+
+      item.className = "result";
+      link.href = entry.url;
+      title.className = "result-title";
+      title.append(highlight(entry.title, terms));
+      summary.className = "result-excerpt";
+      summary.append(
+        highlight(
+          descriptionMatches ? entry.description : excerpt(entry.body, terms),
+          terms,
+        ),
+      );
+
+      link.append(title, summary);
+      item.append(link);
+
+      return item;
+    });
+
+    this.#results.replaceChildren(...items);
+    this.#results.hidden = items.length === 0;
+    this.#status.textContent =
+      items.length === 1 ? "1 result" : `${items.length} results`;
+  }
+
+  async #search() {
+    const query = this.#input.value;
+    const terms = tokenize(query);
+
+    if (terms.length === 0) {
+      this.#clear();
+      return;
+    }
+
+    let index;
+    try {
+      index = await this.#loadIndex();
+    } catch (error) {
+      this.#status.textContent = "Search is unavailable";
+      console.error(error);
+      return;
+    }
+
+    // A newer search started while the index was loading
+    if (query !== this.#input.value) {
+      return;
+    }
+
+    const matches = index
+      .map((prepared) => ({ ...prepared, score: score(prepared, terms) }))
+      .filter((match) => match.score > 0)
+      .toSorted((a, b) => b.score - a.score)
+      .slice(0, maxResults);
+
+    this.#render(matches, terms);
+  }
+
+  get src() {
+    return this.getAttribute("src") ?? "/search-index.json";
+  }
+
+  connectedCallback() {
+    // The shadow root survives the element being moved in the document
+    if (this.shadowRoot) {
+      return;
+    }
+
+    const shadow = this.attachShadow({ mode: "open" });
+    shadow.append(template.content.cloneNode(true));
+
+    this.#input = shadow.querySelector("#query");
+    this.#results = shadow.querySelector("#results");
+    this.#status = shadow.querySelector("#status");
+
+    // Start loading the index as soon as it is likely to be needed
+    this.#input.addEventListener("focus", async () => {
+      try {
+        await this.#loadIndex();
+      } catch {
+        // Failures are reported when searching
+      }
+    });
+    this.#input.addEventListener("input", () => this.#search());
+    this.#input.addEventListener("keydown", (event_) => {
+      if (event_.key !== "Escape") {
+        return;
+      }
+
+      this.#input.value = "";
+      this.#clear();
+    });
+
+    // Submitting the search goes to the top result
+    shadow.querySelector("form").addEventListener("submit", (event_) => {
+      event_.preventDefault();
+      this.#results.querySelector("a")?.click();
+    });
+  }
+}
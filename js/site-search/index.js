@@ -0,0 +1,3 @@
+import { SiteSearch } from "./SiteSearch.js";
+
+customElements.define("site-search", SiteSearch);
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Check Fetch Cache
+ * Runs the fetch cache and the project data fetchers against a local mock of
+ * the GitHub and npm APIs, counting the requests that reach it to check
+ * caching, ETag revalidation, cached error responses and offline mode.
+ *
+ * Usage:
+ *   node scripts/check-fetch-cache.js
+ */
+
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+const etag = '"v1"';
+
+// Mock responses by path, anything else is a 404 like a missing release
+const routes = {
+  "/repos/p-m-p/slider": {
+    stargazers_count: 42,
+    forks_count: 7,
+    html_url: "https://github.com/p-m-p/slider",
+    topics: ["carousel"],
+    language: "TypeScript",
+    license: { spdx_id: "MIT" },
+  },
+  "/downloads/point/last-week/@boxslider/slider": { downloads: 1000 },
+};
+
+// Paths that return a server error until they're removed from the set
+const failingPaths = new Set();
+
+const requests = [];
+
+// Warnings from the cache, still shown as the checks run
+const warnings = [];
+const { warn } = console;
+console.warn = (...arguments_) => {
+  warnings.push(arguments_.join(" "));
+  warn(...arguments_);
+};
+
+// Move the times in a cache entry back so its data is an hour old
+async function backdateCacheEntry(url) {
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+  const files = await readdir(directory);
+
+  for (const file of files) {
+    const cachePath = path.join(directory, file);
+    const entry = JSON.parse(await readFile(cachePath, "utf8"));
+
+    if (entry.url === url) {
+      await writeFile(
+        cachePath,
+        JSON.stringify({ ...entry, fetchedAt: hourAgo, checkedAt: hourAgo }),
+      );
+    }
+  }
+}
+
+const server = createServer((request, response) => {
+  requests.push({
+    path: request.url,
+    ifNoneMatch: request.headers["if-none-match"],
+  });
+
+  const data = routes[request.url];
+
+  if (failingPaths.has(request.url)) {
+    response.writeHead(500).end();
+  } else if (!data) {
+    response.writeHead(404, { "Content-Type": "application/json" });
+    response.end(JSON.stringify({ message: "Not Found" }));
+  } else if (request.headers["if-none-match"] === etag) {
+    response.writeHead(304, { ETag: etag }).end();
+  } else {
+    response.writeHead(200, { "Content-Type": "application/json", ETag: etag });
+    response.end(JSON.stringify(data));
+  }
+});
+
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+const apiUrl = `http://127.0.0.1:${server.address().port}`;
+const directory = await mkdtemp(path.join(os.tmpdir(), "fetch-cache-"));
+
+// The API URLs are read when the modules load
+process.env.GITHUB_API_URL = apiUrl;
+process.env.NPM_API_URL = apiUrl;
+
+const { fetchJson } = await import("../_config/fetch-cache.js");
+const { fetchProjectData } = await import("../_data/projects-config.js");
+
+const project = {
+  repo: "slider",
+  packages: ["@boxslider/slider"],
+};
+const cached = { directory, ttl: 60, isOffline: false };
+
+const checks = {
+  "fetches and caches project data": async () => {
+    const data = await fetchProjectData(project, cached);
+
+    assert.equal(data.stars, 42);
+    assert.equal(data.downloads, 1000);
+    assert.equal(data.release, undefined);
+    assert.equal(requests.length, 3);
+  },
+
+  "uses cached data and cached errors within the TTL": async () => {
+    const data = await fetchProjectData(project, cached);
+
+    assert.equal(data.stars, 42);
+    assert.equal(requests.length, 0);
+  },
+
+  "revalidates with the ETag once the TTL expires": async () => {
+    const data = await fetchProjectData(project, { ...cached, ttl: 0 });
+
+    assert.equal(data.stars, 42);
+    assert.deepEqual(
+      requests
+        .filter((request) => !request.path.endsWith("/releases/latest"))
+        .map((request) => request.ifNoneMatch),
+      [etag, etag],
+    );
+  },
+
+  "keeps data from a successful response when a later one fails": async () => {
+    const url = `${apiUrl}/repos/p-m-p/slider`;
+    const staleWarning = `Using cached data for ${url} fetched 1 hour ago`;
+
+    failingPaths.add("/repos/p-m-p/slider");
+    await backdateCacheEntry(url);
+
+    const stale = await fetchJson(url, cached);
+    const retry = await fetchJson(url, cached);
+
+    assert.equal(stale.stargazers_count, 42);
+    assert.equal(retry.stargazers_count, 42);
+    assert.equal(requests.length, 1);
+    // The retry is within the TTL but still warns with the age of the data
+    assert.deepEqual(
+      warnings.filter((warning) => warning.startsWith("Using cached data")),
+      [staleWarning, staleWarning],
+    );
+    failingPaths.clear();
+  },
+
+  "fails instead of using cached data when that is turned off": async () => {
+    failingPaths.add("/repos/p-m-p/slider");
+
+    await assert.rejects(
+      fetchProjectData(project, {
+        ...cached,
+        ttl: 0,
+        useStaleOnError: false,
+      }),
+      /HTTP 500/,
+    );
+    assert.equal(
+      warnings.some((warning) => warning.startsWith("Using cached data")),
+      false,
+    );
+    failingPaths.clear();
+  },
+
+  "treats a missing resource as no data when failing on errors": async () => {
+    const data = await fetchProjectData(project, {
+      ...cached,
+      ttl: 0,
+      useStaleOnError: false,
+    });
+
+    assert.equal(data.stars, 42);
+    assert.equal(data.release, undefined);
+  },
+
+  "only uses cached data when offline": async () => {
+    const data = await fetchProjectData(project, {
+      ...cached,
+      ttl: 0,
+      isOffline: true,
+    });
+    const missing = await fetchJson(`${apiUrl}/repos/p-m-p/other`, {
+      ...cached,
+      isOffline: true,
+    });
+
+    assert.equal(data.stars, 42);
+    assert.equal(missing, undefined);
+    assert.equal(requests.length, 0);
+  },
+};
+
+try {
+  for (const [name, check] of Object.entries(checks)) {
+    requests.length = 0;
+    warnings.length = 0;
+    await check();
+    console.log(`✓ ${name}`);
+  }
+} finally {
+  server.close();
+  await rm(directory, { recursive: true, force: true });
+}
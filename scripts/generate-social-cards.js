@@ -1,308 +1,349 @@
+/**
+ * Generate Social Cards
+ * Renders the Nunjucks card templates in scripts/social-cards/ and screenshots
+ * them to img/socialcard/. A manifest of input hashes means only cards whose
+ * inputs changed are re-rendered, and `--check` exits non-zero when any card
+ * is stale, missing or orphaned. Posts can choose a card with front matter:
+ *
+ *   social_card_template: post-headshot   # any template in scripts/social-cards/
+ *   social_card_accent: oklch(0.65 0.15 30)
+ *   social_card_subtitle: tags            # `tags`, `date` or any text
+ */
+
 import { launch } from "puppeteer";
-import { readFile, readdir, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { readFile, readdir, rm, writeFile } from "node:fs/promises";
 import { fileURLToPath } from "node:url";
 import path from "node:path";
 import process from "node:process";
+import { isDeepStrictEqual } from "node:util";
+import { DateTime } from "luxon";
+import nunjucks from "nunjucks";
+import { Eleventy } from "@11ty/eleventy";
+import matter from "gray-matter";
+import { socialCardTemplateDirectory } from "../_config/front-matter-schema.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const rootDirectory = path.join(__dirname, "..");
 const socialCardDirectory = path.join(rootDirectory, "img", "socialcard");
-const blogDirectory = path.join(rootDirectory, "blog");
-
+const manifestPath = path.join(socialCardTemplateDirectory, "manifest.json");
+// Autoescape so titles are HTML-escaped in the card markup
+const templates = new nunjucks.Environment(
+  new nunjucks.FileSystemLoader(socialCardTemplateDirectory),
+  { autoescape: true },
+);
+
+// Template data used when a card doesn't set its own
+const cardDefaults = {
+  accent: "oklch(0.65 0.15 165)",
+  author: "Phil Parsons",
+  domain: "philparsons.co.uk",
+};
+
+/**
+ * Load posts through Eleventy so the cards see the same data as the site,
+ * including drafts and computed data. The site config is needed for the data
+ * cascade but only the posts are processed, project data comes from the
+ * fetch cache and the output is kept in memory, which skips the checks that
+ * run after a build.
+ */
 async function getPostsFromBlogDirectory() {
-  const files = await readdir(blogDirectory);
-  const posts = [];
-
-  for (const file of files) {
-    if (!file.endsWith(".md")) continue;
-
-    const slug = file.replace(".md", "");
-    const content = await readFile(path.join(blogDirectory, file), "utf8");
-    const titleMatch = content.match(/^title:\s*(.+)$/m);
-    const hasSocialCard = /^social_card:/m.test(content);
-
-    if (titleMatch) {
-      // Handle multi-line titles (remove quotes if present)
-      let title = titleMatch[1].trim();
-      if (title.startsWith('"') || title.startsWith("'")) {
-        title = title.slice(1, -1);
-      }
-      posts.push({ slug, title, hasSocialCard });
-    }
+  let posts = [];
+
+  process.env.OFFLINE ??= "1";
+
+  const eleventy = new Eleventy(rootDirectory, undefined, {
+    configPath: path.join(rootDirectory, ".eleventy.js"),
+    quietMode: true,
+    // Drafts are only dropped from build mode collections
+    runMode: "serve",
+    config(eleventyConfig) {
+      // Pages outside the blog directory
+      eleventyConfig.ignores.add("*.njk");
+
+      eleventyConfig.addCollection("socialCardPosts", (collectionApi) => {
+        posts = collectionApi.getFilteredByTag("posts");
+        return posts;
+      });
+    },
+  });
+  await eleventy.toJSON();
+
+  return posts.map(({ fileSlug, inputPath, data }) => ({
+    slug: fileSlug,
+    inputPath,
+    title: data.title,
+    socialCard: data.social_card,
+    card: {
+      template: data.social_card_template,
+      accent: data.social_card_accent,
+      subtitle: getSubtitle(data),
+    },
+  }));
+}
+
+// A subtitle of `tags` or `date` shows that post data, anything else is shown as is
+function getSubtitle({ social_card_subtitle: subtitle, tags = [], date }) {
+  if (subtitle === "tags") {
+    return tags.filter((tag) => tag !== "posts").join(" · ");
+  }
+
+  if (subtitle === "date") {
+    return DateTime.fromJSDate(date, { zone: "utc" }).toFormat("dd LLLL yyyy");
   }
 
-  return posts;
+  return subtitle;
 }
 
-async function addSocialCardToFrontmatter(slug) {
-  const filePath = path.join(blogDirectory, `${slug}.md`);
-  const content = await readFile(filePath, "utf8");
+/**
+ * Set a top level front matter key by editing the text of the file rather
+ * than re-serialising the YAML, so existing formatting and key order is kept
+ */
+function setFrontMatterValue(content, key, value) {
+  const frontMatter = content.match(/^(---\r?\n)([\s\S]*?)^---[ \t]*$/m);
 
-  // Find the closing --- of frontmatter and insert social_card before it
-  const updated = content.replace(
-    /^(---\n[\s\S]*?)(---)/m,
-    (_, frontmatter, closing) => `${frontmatter}social_card: ${slug}.jpg\n${closing}`,
-  );
+  if (frontMatter?.index !== 0) {
+    throw new Error("No front matter found");
+  }
 
-  await writeFile(filePath, updated, "utf8");
-  console.log(`  Added social_card to ${slug}.md`);
-}
+  const [, opening, body] = frontMatter;
+  // Serialise the value the same way as the YAML engine Eleventy uses
+  const line = matter.stringify("", { [key]: value }).split("\n", 2)[1];
+  const lines = body.split("\n").slice(0, -1);
+  const keyIndex = lines.findIndex((text) => text.startsWith(`${key}:`));
 
-async function generateCard(page, type, headshot, options = {}) {
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <link rel="preconnect" href="https://fonts.googleapis.com">
-  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-  <link href="https://fonts.googleapis.com/css2?family=Noto+Sans:wght@400;600;700;800&display=swap" rel="stylesheet">
-  <style>
-    :root {
-      --color-accent: oklch(0.65 0.15 165);
-      --color-primary-400: oklch(0.70 0.15 165);
-      --color-primary-500: oklch(0.65 0.15 165);
-      --color-white: oklch(0.98 0.01 80);
-      --color-text-secondary: oklch(0.78 0.02 80);
-    }
+  if (keyIndex === -1) {
+    lines.push(line);
+  } else {
+    // Replace the key along with any indented lines of a multi-line value
+    let end = keyIndex + 1;
+    while (end < lines.length && /^\s+\S/.test(lines[end])) end++;
+    lines.splice(keyIndex, end - keyIndex, line);
+  }
 
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
+  const rest = content.slice(opening.length + body.length);
+  const updated = `${opening}${lines.join("\n")}\n${rest}`;
+  const expected = { ...matter(content).data, [key]: value };
 
-    body {
-      width: 1200px;
-      height: 630px;
-      font-family: "Noto Sans", sans-serif;
-      overflow: hidden;
-    }
+  if (!isDeepStrictEqual(matter(updated).data, expected)) {
+    throw new Error(`Failed to set ${key} in front matter`);
+  }
 
-    .card {
-      width: 1200px;
-      height: 630px;
-      background:
-        radial-gradient(ellipse at 80% 35%, oklch(0.40 0.14 165 / 0.5) 0%, transparent 70%),
-        radial-gradient(ellipse at 10% 90%, oklch(0.30 0.08 165 / 0.25) 0%, transparent 60%),
-        linear-gradient(160deg, oklch(0.14 0.04 165) 0%, oklch(0.07 0.02 165) 100%);
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      padding: 60px 80px;
-      color: var(--color-white);
-    }
+  return updated;
+}
 
-    .content {
-      flex: 1;
-      max-width: 700px;
-    }
+async function addSocialCardToFrontmatter(post) {
+  const filePath = path.join(rootDirectory, post.inputPath);
+  const content = await readFile(filePath, "utf8");
 
-    .greeting {
-      font-size: 1.25rem;
-      font-style: italic;
-      font-weight: 500;
-      color: var(--color-primary-400);
-      margin-bottom: 8px;
-    }
+  await writeFile(
+    filePath,
+    setFrontMatterValue(content, "social_card", `${post.slug}.jpg`),
+    "utf8",
+  );
+  console.log(`  Added social_card to ${post.inputPath}`);
+}
 
-    .name {
-      font-size: 3.5rem;
-      font-weight: 800;
-      line-height: 1.1;
-      margin-bottom: 16px;
-      letter-spacing: -0.02em;
-    }
+async function generateCard(page, headshot, options = {}) {
+  const { template = "post", ...data } = options;
+  const html = templates.render(`${template}.njk`, {
+    ...cardDefaults,
+    ...Object.fromEntries(
+      Object.entries(data).filter(([, value]) => value !== undefined),
+    ),
+    headshot,
+  });
 
-    .tagline {
-      font-size: 1.5rem;
-      font-weight: 600;
-      color: var(--color-primary-400);
-      margin-bottom: 24px;
-    }
+  await page.setViewport({ width: 1200, height: 630 });
+  await page.setContent(html, { waitUntil: "domcontentloaded" });
+  await page.evaluateHandle("document.fonts.ready");
+}
 
-    .url {
-      font-size: 1.25rem;
-      color: var(--color-text-secondary);
+async function readManifest() {
+  try {
+    return JSON.parse(await readFile(manifestPath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
     }
+    throw error;
+  }
+}
 
-    .card.post {
-      flex-direction: column;
-      justify-content: flex-start;
-      align-items: stretch;
-      padding: 0;
-    }
+async function writeManifest(manifest) {
+  const sorted = Object.fromEntries(
+    Object.entries(manifest).toSorted(([a], [b]) => a.localeCompare(b)),
+  );
 
-    .card.post .glass-card {
-      background: rgba(255, 255, 255, 0.08);
-      backdrop-filter: blur(12px);
-      border-top: 1px solid rgba(255, 255, 255, 0.1);
-      border-bottom: 1px solid rgba(255, 255, 255, 0.1);
-      padding: 50px 80px;
-      width: 1200px;
-      display: flex;
-      align-items: center;
-      flex: 1;
-      margin-top: 60px;
-    }
+  await writeFile(manifestPath, `${JSON.stringify(sorted, undefined, 2)}\n`);
+}
 
-    .card.post .post-title {
-      font-size: clamp(3rem, 8vw, 6rem);
-      font-weight: 700;
-      line-height: 1.05;
-      letter-spacing: -0.03em;
-      margin: 0;
-      text-align: left;
-      text-wrap: balance;
-    }
+/**
+ * Hash everything that changes how a card looks: the template files, the
+ * data rendered into them and the headshot image
+ */
+async function getCardHash({ template = "post", ...data }, headshotHash) {
+  const templateSources = await Promise.all(
+    ["layout", template].map((name) =>
+      readFile(path.join(socialCardTemplateDirectory, `${name}.njk`), "utf8"),
+    ),
+  );
 
-    .card.post .post-footer {
-      padding: 36px 80px 40px;
-      display: flex;
-      align-items: center;
-      gap: 20px;
-      flex-shrink: 0;
-    }
+  return createHash("sha256")
+    .update(
+      JSON.stringify({
+        templateSources,
+        data: { ...cardDefaults, ...data },
+        headshotHash,
+      }),
+    )
+    .digest("hex");
+}
 
-    .card.post .author-image {
-      width: 70px;
-      height: 70px;
-      border-radius: 50%;
-      object-fit: cover;
-      outline: 3px solid var(--color-primary-500);
-      outline-offset: 3px;
-    }
+/**
+ * Report stale, missing and orphaned cards, false if any need updating
+ */
+function checkCards({ staleCards, orphanedFiles, existingFiles }) {
+  for (const card of staleCards) {
+    console.error(
+      `${existingFiles.has(card.file) ? "Stale" : "Missing"}: ${card.file}`,
+    );
+  }
+  for (const file of orphanedFiles) {
+    console.error(`Orphaned: ${file}`);
+  }
 
-    .card.post .author-info {
-      display: flex;
-      flex-direction: column;
-      gap: 4px;
-    }
+  if (staleCards.length > 0 || orphanedFiles.size > 0) {
+    console.error("Run `pnpm generate:social-cards` to update social cards");
+    return false;
+  }
 
-    .card.post .author-name {
-      font-weight: 600;
-      font-size: 1.35rem;
-      color: var(--color-white);
-    }
+  console.log("All social cards are up to date");
+  return true;
+}
 
-    .card.post .author-url {
-      font-size: 1.15rem;
-      color: var(--color-text-secondary);
+/**
+ * Render the requested cards, remove orphaned cards with `--all` and write
+ * the updated manifest
+ */
+async function generateCards(
+  { cards, staleCards, orphanedFiles, cardFiles, manifest, headshot },
+  { generateAll, isForced, specificSlug },
+) {
+  let cardsToGenerate;
+  if (specificSlug) {
+    // An explicitly requested card is always generated
+    cardsToGenerate = cards.filter((card) => card.post?.slug === specificSlug);
+
+    if (cardsToGenerate.length === 0) {
+      console.error(`Post not found: ${specificSlug}`);
     }
+  } else if (generateAll) {
+    cardsToGenerate = isForced ? cards : staleCards;
+  } else {
+    cardsToGenerate = staleCards.filter((card) => card.file === "home.jpg");
+    console.log("Use --all to generate all post cards, or specify a slug");
+  }
 
-    .headshot-container {
-      flex-shrink: 0;
+  if (cardsToGenerate.length > 0) {
+    const browser = await launch({
+      args: process.env.CI ? ["--no-sandbox", "--disable-setuid-sandbox"] : [],
+    });
+    const page = await browser.newPage();
+
+    for (const card of cardsToGenerate) {
+      console.log(`Generating ${card.file}...`);
+      await generateCard(page, headshot, card.options);
+      await page.screenshot({
+        path: path.join(socialCardDirectory, card.file),
+        type: "jpeg",
+        quality: 90,
+      });
+      manifest[card.file] = card.hash;
+
+      if (card.post && !card.post.socialCard) {
+        await addSocialCardToFrontmatter(card.post);
+      }
     }
 
-    .headshot {
-      width: 280px;
-      height: 280px;
-      border-radius: 50%;
-      object-fit: cover;
-      outline: 10px solid var(--color-primary-500);
-      outline-offset: 6px;
-      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.4);
+    await browser.close();
+  } else {
+    console.log("No social cards need generating");
+  }
+
+  // Cards for posts that have been removed or renamed
+  if (generateAll) {
+    for (const file of orphanedFiles) {
+      console.log(`Removing orphaned ${file}...`);
+      await rm(path.join(socialCardDirectory, file));
     }
-  </style>
-</head>
-<body>
-  ${type === "home"
-      ? `
-  <div class="card home">
-    <div class="content">
-      <p class="greeting">Hello, I'm</p>
-      <h1 class="name">Phil Parsons.</h1>
-      <p class="tagline">Principal Engineer & Web Developer</p>
-      <p class="url">philparsons.co.uk</p>
-    </div>
-    <div class="headshot-container">
-      <img src="${headshot}" alt="" class="headshot">
-    </div>
-  </div>
-  `
-      : `
-  <div class="card post">
-    <div class="glass-card">
-      <h1 class="post-title">${options.title}</h1>
-    </div>
-    <div class="post-footer">
-      <img src="${headshot}" alt="" class="author-image">
-      <div class="author-info">
-        <span class="author-name">Phil Parsons</span>
-        <span class="author-url">philparsons.co.uk</span>
-      </div>
-    </div>
-  </div>
-  `
+  }
+
+  for (const file of Object.keys(manifest)) {
+    if (!cardFiles.has(file)) {
+      delete manifest[file];
     }
-</body>
-</html>`;
+  }
 
-  await page.setViewport({ width: 1200, height: 630 });
-  await page.setContent(html, { waitUntil: "domcontentloaded" });
-  await page.evaluateHandle("document.fonts.ready");
+  await writeManifest(manifest);
 }
 
 const arguments_ = process.argv.slice(2);
 const generateAll = arguments_.includes("--all");
+const isCheck = arguments_.includes("--check");
+const isForced = arguments_.includes("--force");
 const specificSlug = arguments_.find((argument) => !argument.startsWith("--"));
 
-const browser = await launch({
-  args: process.env.CI ? ["--no-sandbox", "--disable-setuid-sandbox"] : [],
-});
-const page = await browser.newPage();
-
 // Load headshot as base64
 const headshotPath = path.join(rootDirectory, "img", "headshot.jpeg");
 const headshotBuffer = await readFile(headshotPath);
 const headshot = `data:image/jpeg;base64,${headshotBuffer.toString("base64")}`;
+const headshotHash = createHash("sha256").update(headshotBuffer).digest("hex");
 
-// Generate home card
-console.log("Generating home.jpg...");
-await generateCard(page, "home", headshot);
-await page.screenshot({
-  path: path.join(socialCardDirectory, "home.jpg"),
-  type: "jpeg",
-  quality: 90,
-});
-
-// Get all posts
+// Every card the site needs, the home card followed by one per post
 const posts = await getPostsFromBlogDirectory();
+const cards = [
+  {
+    file: "home.jpg",
+    options: {
+      template: "home",
+      subtitle: "Principal Engineer & Web Developer",
+    },
+  },
+  // Posts keep the card file named in their front matter
+  ...posts.map((post) => ({
+    file: post.socialCard ?? `${post.slug}.jpg`,
+    post,
+    options: { title: post.title, ...post.card },
+  })),
+];
+
+const manifest = await readManifest();
+const socialCardFiles = await readdir(socialCardDirectory);
+const existingFiles = new Set(
+  socialCardFiles.filter((file) => file.endsWith(".jpg")),
+);
+
+for (const card of cards) {
+  card.hash = await getCardHash(card.options, headshotHash);
+  card.isStale =
+    manifest[card.file] !== card.hash || !existingFiles.has(card.file);
+}
 
-if (specificSlug) {
-  // Generate for specific post
-  const post = posts.find((p) => p.slug === specificSlug);
-  if (post) {
-    console.log(`Generating ${post.slug}.jpg...`);
-    await generateCard(page, "post", headshot, { title: post.title });
-    await page.screenshot({
-      path: path.join(socialCardDirectory, `${post.slug}.jpg`),
-      type: "jpeg",
-      quality: 90,
-    });
-    if (!post.hasSocialCard) {
-      await addSocialCardToFrontmatter(post.slug);
-    }
-  } else {
-    console.error(`Post not found: ${specificSlug}`);
-  }
-} else if (generateAll) {
-  // Generate for all posts
-  for (const post of posts) {
-    console.log(`Generating ${post.slug}.jpg...`);
-    await generateCard(page, "post", headshot, { title: post.title });
-    await page.screenshot({
-      path: path.join(socialCardDirectory, `${post.slug}.jpg`),
-      type: "jpeg",
-      quality: 90,
-    });
-    if (!post.hasSocialCard) {
-      await addSocialCardToFrontmatter(post.slug);
-    }
-  }
+const cardFiles = new Set(cards.map((card) => card.file));
+const status = {
+  cards,
+  cardFiles,
+  existingFiles,
+  manifest,
+  headshot,
+  staleCards: cards.filter((card) => card.isStale),
+  orphanedFiles: existingFiles.difference(cardFiles),
+};
+
+if (isCheck) {
+  process.exitCode = checkCards(status) ? 0 : 1;
 } else {
-  console.log("Use --all to generate all post cards, or specify a slug");
+  await generateCards(status, { generateAll, isForced, specificSlug });
+  console.log("Done!");
 }
-
-await browser.close();
-console.log("Done!");
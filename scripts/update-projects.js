@@ -2,19 +2,27 @@
 
 /**
  * Update GitHub Projects Data
- * Fetches current repository statistics from GitHub API and updates _data/projects.js
+ * Fetches current repository statistics from GitHub API and writes the
+ * snapshot in _data/projects-snapshot.json
+ *
+ * Usage:
+ *   node scripts/update-projects.js            # Update the snapshot
+ *   node scripts/update-projects.js --dry-run  # Only report the changes
+ *
+ * Exits with NO_CHANGES_EXIT_CODE when the fetched data matches the
+ * snapshot, so scheduled runs can skip committing.
  */
 
-import { readFile, writeFile } from "node:fs/promises";
-import { fileURLToPath } from "node:url";
-import path from "node:path";
+import process from "node:process";
+import { isDeepStrictEqual } from "node:util";
 import {
   projectDefinitions,
-  fetchRepoData,
+  fetchProjectData,
+  readSnapshot,
+  writeSnapshot,
 } from "../_data/projects-config.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const NO_CHANGES_EXIT_CODE = 2;
 
 /**
  * Fetch all project data with live stats
@@ -22,15 +30,22 @@ const __dirname = path.dirname(__filename);
 async function fetchAllProjects() {
   const projects = await Promise.all(
     projectDefinitions.map(async (project) => {
-      const repoData = await fetchRepoData(project.repo);
-      
-      if (!repoData) {
+      // Always revalidate, an unchanged ETag still counts as fresh data, and
+      // fail rather than write cached data to the snapshot
+      const projectData = await fetchProjectData(project, {
+        ttl: 0,
+        isOffline: false,
+        useStaleOnError: false,
+      });
+
+      // Releases and downloads are optional but the repository is required
+      if (projectData.stars === undefined) {
         throw new Error(`Failed to fetch data for ${project.repo}`);
       }
-      
+
       return {
         ...project,
-        ...repoData,
+        ...projectData,
       };
     }),
   );
@@ -38,50 +53,70 @@ async function fetchAllProjects() {
   return projects;
 }
 
+function formatValue(value) {
+  if (value === undefined) {
+    return "(none)";
+  }
+
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Lines describing each changed field of a project
+ */
+function diffProject(previous = {}, current) {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+  return [...keys]
+    .filter((key) => !isDeepStrictEqual(previous[key], current[key]))
+    .map(
+      (key) =>
+        `    ${key}: ${formatValue(previous[key])} → ${formatValue(current[key])}`,
+    );
+}
+
 /**
- * Update the projects.js data file
+ * Update the projects snapshot
  */
 async function updateProjectsData() {
+  const isDryRun = process.argv.includes("--dry-run");
+
   try {
     console.log("Fetching GitHub repository data...");
-    const projects = await fetchAllProjects();
+    const [projects, snapshot] = await Promise.all([
+      fetchAllProjects(),
+      readSnapshot(),
+    ]);
+    let hasChanges = projects.length !== snapshot.length;
 
-    console.log("Fetched data:");
     for (const project of projects) {
-      console.log(
-        `  ${project.title}: ${project.stars} stars, ${project.forks} forks`,
+      const changes = diffProject(
+        snapshot.find((previous) => previous.repo === project.repo),
+        project,
       );
-    }
-
-    // Read the current projects.js file
-    const projectsPath = path.join(__dirname, "..", "_data", "projects.js");
-    const currentContent = await readFile(projectsPath, "utf8");
 
-    // Update the fallback data in the file
-    const fallbackDataString = JSON.stringify(projects, undefined, 2);
+      console.log(`  ${project.title}`);
+      console.log(changes.length > 0 ? changes.join("\n") : "    no changes");
 
-    // Replace the fallbackData array in the file
-    // Match the fallbackData array structure specifically
-    const fallbackDataRegex = /const fallbackData = \[\s*\{[\s\S]*?\}\s*\];/;
-
-    if (!fallbackDataRegex.test(currentContent)) {
-      throw new Error(
-        "Could not find fallbackData array in projects.js. File structure may have changed.",
-      );
+      hasChanges ||= changes.length > 0;
     }
 
-    const updatedContent = currentContent.replace(
-      fallbackDataRegex,
-      () => `const fallbackData = ${fallbackDataString};`,
-    );
+    if (!hasChanges) {
+      console.log("\nProjects data is up to date");
+      process.exitCode = NO_CHANGES_EXIT_CODE;
+      return;
+    }
 
-    // Write the updated file
-    await writeFile(projectsPath, updatedContent, "utf8");
+    if (isDryRun) {
+      console.log("\nDry run, snapshot not updated");
+      return;
+    }
 
-    console.log("\n✓ Successfully updated _data/projects.js");
+    await writeSnapshot(projects);
+    console.log("\n✓ Successfully updated _data/projects-snapshot.json");
   } catch (error) {
     console.error("Error updating projects data:", error);
-    process.exit(1);
+    process.exitCode = 1;
   }
 }
 